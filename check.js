@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// Headless regression checks of the model: the gel diffusion solver against its
+// exact steady state and mass balance, runs that must reproduce exactly (same
+// seed, any playback speed, re-run after a seek), edits made part-way through a
+// run that must leave every recorded snapshot restorable, and sweep runs that
+// must start from the configured chip.
+//
+//   node check.js
+//
+// Prints one line per check and exits with 1 when any fails.
+
+const { ChipModel, DiffusionField } = require('./model.js');
+const { ParameterSweep } = require('./sweep.js');
+
+const checks = [];
+function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+// Model run for a number of physics steps from the default chip
+function runModel(steps) {
+    const model = new ChipModel({ seed: 1 });
+    for (let i = 0; i < steps; i++) model.update(model.physicsStep);
+    return model;
+}
+
+// Everything a run changes, as text to compare runs by
+function runState(model) {
+    return JSON.stringify({ run: model.captureRun(), history: model.history });
+}
+
+check('gel diffusion reaches the linear steady state between the channels', () => {
+    const nx = 20;
+    const ny = 10;
+    const field = new DiffusionField(nx, ny, 50);
+    const top = new Float64Array(nx).fill(1);
+    const bottom = new Float64Array(nx);
+    for (let t = 0; t < 100; t++) field.step(60, 500, top, bottom);
+    // The channel walls sit half a cell beyond the first and last rows
+    for (let j = 0; j < ny; j++) {
+        const exact = 1 - (j + 0.5) / ny;
+        for (let i = 0; i < nx; i++) {
+            const value = field.values[j * nx + i];
+            assert(Math.abs(value - exact) < 1e-6, `row ${j} is ${value.toFixed(6)}, not ${exact}`);
+        }
+    }
+});
+
+check('gel diffusion conserves mass in a closed gel with obstacles', () => {
+    const nx = 30;
+    const ny = 12;
+    const open = new Float64Array(nx * ny).fill(1);
+    // Solid first and last rows close the channel interfaces; a half-open post sits inside
+    for (let i = 0; i < nx; i++) {
+        open[i] = 0;
+        open[(ny - 1) * nx + i] = 0;
+    }
+    for (let j = 4; j < 8; j++) open[j * nx + 12] = 0.5;
+    const field = new DiffusionField(nx, ny, 50);
+    field.setObstacles(open);
+    field.values[6 * nx + 3] = 100;
+    const mass = () => field.values.reduce((acc, v, k) => acc + v * open[k], 0);
+    const start = mass();
+    const channel = new Float64Array(nx).fill(50);
+    for (let t = 0; t < 200; t++) {
+        field.step(30, 400, channel, channel);
+        assert(Math.abs(mass() - start) < 1e-9 * start, `mass changed from ${start} to ${mass()} at step ${t + 1}`);
+    }
+    // and ends up spread evenly over the open gel
+    const level = start / field.openVolume;
+    assert(Math.abs(field.min() - level) < 1e-3 * level, `lowest level ${field.min()} is not the mean ${level}`);
+});
+
+check('the same seed gives the same run', () => {
+    const a = new ChipModel({ seed: 7 });
+    const b = new ChipModel({ seed: 7 });
+    a.runTo(900);
+    b.runTo(900);
+    assert(runState(a) === runState(b), 'two runs of seed 7 differ');
+});
+
+check('playback speed does not change the physics', () => {
+    const slow = new ChipModel({ seed: 1 });
+    const fast = new ChipModel({ seed: 1 });
+    slow.setTimeCompression(60);
+    fast.setTimeCompression(600);
+    slow.runTo(900);
+    fast.runTo(900);
+    const arrival = model => model.transport[model.species[0].id].neuronArrivalTime;
+    assert(arrival(slow) === arrival(fast), `neuron arrival at ${arrival(slow)} s at 60× but ${arrival(fast)} s at 600×`);
+    assert(runState(slow) === runState(fast), 'runs at 60× and 600× differ');
+});
+
+check('a run re-run from an earlier point follows the recorded one', () => {
+    const model = new ChipModel({ seed: 1 });
+    model.runTo(900);
+    const recorded = JSON.stringify(model.captureRun());
+    model.setTimeCompression(3600);
+    model.seek(400);
+    model.runTo(900);
+    assert(JSON.stringify(model.captureRun()) === recorded, 'the re-run ends somewhere else');
+});
+
+check('seek after adding a compound', () => {
+    const model = runModel(300);
+    const id = model.addSpecies();
+    model.seek(10);
+    assert(Math.abs(model.simulationTime - 10) < model.physicsStep, `seek ended at ${model.simulationTime} s`);
+    assert(!model.seeking, 'still seeking');
+    assert(model.transport[id].gel.mean() === 0, 'added compound is already in the gel');
+    model.forEachExposed(cell => assert(cell.exposure[id], 'a cell has no exposure to the added compound'));
+    model.update(model.physicsStep);
+});
+
+check('phase steps after adding a compound', () => {
+    const model = runModel(300);
+    const start = model.phaseStartTime;
+    model.addSpecies();
+    model.previousPhase();
+    assert(model.simulationTime === start, `previous phase went to ${model.simulationTime} s, not ${start} s`);
+    model.nextPhase();
+    model.update(model.physicsStep);
+});
+
+check('seek after removing a compound', () => {
+    const model = runModel(300);
+    const id = model.species[model.species.length - 1].id;
+    model.removeSpecies(id);
+    model.seek(200);
+    model.forEachExposed(cell => assert(!(id in cell.exposure), 'a cell is exposed to the removed compound again'));
+    assert(model.exportCells().every(cell => !(id in cell.exposure)), 'the removed compound is exported');
+    model.update(model.physicsStep);
+});
+
+check('gel width sweep keeps the configured cells', () => {
+    const model = new ChipModel({ seed: 1 });
+    const type = model.addCellType();
+    model.addCell(type, 500, model.layout.hydrogelY + 100);
+    model.removeCell('neuron', 0);
+    const configuration = model.configuration();
+    const sweep = new ParameterSweep(configuration, {
+        mode: 'grid', seed: 1, compression: 300,
+        parameters: [{ key: 'hydrogelWidth', min: 1000, max: 3000, steps: 2 }]
+    });
+    sweep.runs.forEach(values => {
+        const run = sweep.prepare(values).configuration();
+        assert(run.cells.neurons.length === configuration.cells.neurons.length, 'neurons were re-randomised');
+        assert(run.cells.others.length === 1 && run.cells.others[0].type === type, 'the custom cell is gone');
+    });
+});
+
+let failed = 0;
+checks.forEach(({ name, fn }) => {
+    try {
+        fn();
+        console.log(`ok    ${name}`);
+    } catch (err) {
+        failed++;
+        console.log(`FAIL  ${name}: ${err.message}`);
+    }
+});
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+// Command-line runner: plays a scenario through the headless model and writes
+// the results the page exports.
+//
+//   node cli.js <scenario.json> [--out dir] [--duration min] [--seed N]
+//   node cli.js <scenario.json> --sweep <sweep.json> [--out dir]
+//
+// The scenario is a configuration (as shared from the page), a saved state, or
+// a bare protocol ({ phases: [...] } or [...]) run on the default chip.
+// The physics runs in the same fixed steps as the page at any playback speed,
+// so a scenario and seed always give the same numbers.
+//
+// A sweep file is { mode: 'grid' | 'random', samples, seed, parameters:
+// [{ key, min, max, steps }] } with keys from ParameterSweep.parameters; it
+// writes sweep.csv and prints each parameter's rank correlation with each metric.
+
+const fs = require('fs');
+const path = require('path');
+const { ChipModel } = require('./model.js');
+const { ParameterSweep } = require('./sweep.js');
+
+const usage = 'usage: node cli.js <scenario.json> [--sweep sweep.json] [--out dir] [--duration min] [--seed N]';
+
+function parseArgs(argv) {
+    const args = { file: null, out: '.', sweep: null, duration: null, seed: null };
+    const numeric = { '--duration': 'duration', '--seed': 'seed' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            args.out = argv[++i];
+        } else if (arg === '--sweep') {
+            args.sweep = argv[++i];
+        } else if (numeric[arg]) {
+            const value = parseFloat(argv[++i]);
+            if (!Number.isFinite(value)) throw new Error(`${arg} needs a number`);
+            args[numeric[arg]] = value;
+        } else if (arg === '--help' || arg === '-h') {
+            console.log(usage);
+            process.exit(0);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`unknown option ${arg}`);
+        } else {
+            args.file = arg;
+        }
+    }
+    if (!args.file) throw new Error(usage);
+    return args;
+}
+
+// Model set up from whichever kind of file was given
+function loadScenario(file, seed) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.format === 'lab-on-chip-state') {
+        const model = new ChipModel({ seed: data.configuration.seed });
+        model.restoreState(data);
+        return model;
+    }
+    if (data.format === 'lab-on-chip-config') {
+        const model = new ChipModel({ seed: data.seed });
+        model.applyConfiguration(data);
+        if (seed !== null) model.setSeed(seed);
+        return model;
+    }
+    const model = new ChipModel({ seed: seed !== null ? seed : 1 });
+    model.applyProtocol(data);
+    return model;
+}
+
+function summary(model) {
+    const lines = [`t = ${(model.simulationTime / 60).toFixed(1)} min, seed ${model.seed}, step ${model.physicsStep.toFixed(3)} s`];
+    model.species.forEach(sp => {
+        const t = model.transport[sp.id];
+        const arrival = t.neuronArrivalTime === null ? '—' : `${(t.neuronArrivalTime / 60).toFixed(1)} min`;
+        lines.push(`  ${sp.name}: gel ${t.gel.mean().toFixed(3)} µM, neuron row ${model.neuronRowConcentration(sp.id).toFixed(3)} µM, arrival ${arrival}`);
+    });
+    const populations = [['neurons', model.motorNeurons], ['axons', model.axons], ['Schwann cells', model.schwannCells],
+        ...model.cellTypes.map(t => [t.name, model.cellsOf(t.id)]).filter(([, cells]) => cells.length > 0)];
+    populations.forEach(([label, cells]) => {
+        const counts = { healthy: 0, stressed: 0, degenerating: 0 };
+        cells.forEach(c => counts[c.response]++);
+        lines.push(`  ${label}: ${counts.healthy} healthy / ${counts.stressed} stressed / ${counts.degenerating} degenerating`);
+    });
+    const axons = model.meanAxonMetrics();
+    lines.push(`  axon length ${axons.length.toFixed(0)} µm (${axons.connected.toFixed(0)} connected), integrity ${(axons.integrity * 100).toFixed(0)}%` +
+        (axons.myelin === null ? '' : `, myelin ${(axons.myelin * 100).toFixed(0)}%`));
+    const levels = model.nutrients.map(n => {
+        const gel = model.nutrientFields[n.id].gel;
+        return `${n.name.toLowerCase()} ${gel.min().toFixed(1)} µM (mean ${gel.mean().toFixed(1)})`;
+    });
+    const viability = model.meanViability();
+    lines.push(`  gel lowest ${levels.join(', ')}` + (viability === null ? '' : `, viability ${(viability * 100).toFixed(0)}%`));
+    model.nutrientWarnings().forEach(warning => lines.push(`  warning: ${warning}`));
+    const r = model.recording;
+    if (r) {
+        const velocity = r.velocity === null ? 'no conduction' : `${r.velocity.toFixed(2)} m/s`;
+        lines.push(`  MEA at ${(r.time / 60).toFixed(1)} min: ${r.rate.toFixed(1)} Hz, CAP ${(r.cap * 100).toFixed(0)}%, ${velocity}`);
+    }
+    if (model.washoutState && model.washoutState.clearedTime !== null) {
+        lines.push(`  cleared to ${model.clearanceTarget * 100}% in ${(model.washoutState.clearedTime / 60).toFixed(1)} min`);
+    }
+    return lines.join('\n');
+}
+
+// Every run of a sweep over the scenario, one CSV row each
+function runSweep(model, file, out) {
+    const spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+    spec.parameters = (spec.parameters || []).map(p => {
+        const param = ParameterSweep.parameters[p.key];
+        if (!param) throw new Error(`unknown sweep parameter '${p.key}'`);
+        return { key: p.key, min: p.min !== undefined ? p.min : param.min, max: p.max !== undefined ? p.max : param.max, steps: p.steps || 4 };
+    });
+    spec.mode = spec.mode === 'random' ? 'random' : 'grid';
+    spec.samples = spec.samples || 20;
+    spec.seed = spec.seed !== undefined ? spec.seed : model.seed;
+    
+    const sweep = new ParameterSweep(model.configuration(), spec);
+    const metrics = Object.keys(ParameterSweep.metrics);
+    const keys = spec.parameters.map(p => p.key);
+    const lines = [model.csvRow(['run', ...keys, ...metrics])];
+    const results = sweep.runs.map((values, i) => {
+        console.error(`run ${i + 1}/${sweep.runs.length}: ${keys.map(key => `${key}=${+values[key].toPrecision(4)}`).join(' ')}`);
+        const result = sweep.run(i);
+        lines.push(model.csvRow([i + 1, ...keys.map(key => values[key]),
+            ...metrics.map(key => result.metrics[key] === null ? '' : result.metrics[key])]));
+        return result;
+    });
+    
+    fs.mkdirSync(out, { recursive: true });
+    fs.writeFileSync(path.join(out, 'sweep.csv'), lines.join('\n') + '\n');
+    const sensitivity = sweep.sensitivity(results);
+    console.log(`Spearman rank correlation (${results.length} runs)`);
+    console.log(['parameter', ...metrics].join('\t'));
+    keys.forEach(key => console.log([key, ...metrics.map(m =>
+        sensitivity[key][m] === null ? '—' : sensitivity[key][m].toFixed(2))].join('\t')));
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const model = loadScenario(args.file, args.seed);
+    if (args.sweep) {
+        runSweep(model, args.sweep, args.out);
+        return;
+    }
+    
+    const end = (args.duration !== null ? args.duration : model.protocolDuration()) * 60;
+    let phase = -1;
+    while (model.simulationTime + model.physicsStep / 2 < end) {
+        if (model.phaseIndex !== phase) {
+            phase = model.phaseIndex;
+            console.error(`${(model.simulationTime / 60).toFixed(1)} min: ${model.currentPhase().name}`);
+        }
+        model.update(model.physicsStep);
+    }
+    
+    fs.mkdirSync(args.out, { recursive: true });
+    fs.writeFileSync(path.join(args.out, 'results.json'), JSON.stringify(model.exportResults(), null, 2));
+    fs.writeFileSync(path.join(args.out, 'timeseries.csv'), model.timeSeriesCsv());
+    fs.writeFileSync(path.join(args.out, 'cells.csv'), model.cellsCsv());
+    console.log(summary(model));
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`cli: ${err.message}`);
+    process.exit(1);
+}
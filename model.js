@@ -0,0 +1,2884 @@
+// Headless lab-on-chip model: chip geometry, transport physics, cell exposure,
+// protocol execution and run recording. It touches no DOM, so the page
+// (simulation.js) and Node (cli.js) run the same model.
+
+// Seedable pseudo-random generator (mulberry32); its whole state is one 32-bit integer
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    // Uniform in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Solve a tridiagonal system in place (Thomas algorithm)
+// a: sub-diagonal, b: diagonal, c: super-diagonal, d: right-hand side, x: solution
+function solveTridiagonal(a, b, c, d, x, n) {
+    for (let i = 1; i < n; i++) {
+        const m = a[i] / b[i - 1];
+        b[i] -= m * c[i - 1];
+        d[i] -= m * d[i - 1];
+    }
+    x[n - 1] = d[n - 1] / b[n - 1];
+    for (let i = n - 2; i >= 0; i--) {
+        x[i] = (d[i] - c[i] * x[i + 1]) / b[i];
+    }
+}
+
+// 2D concentration field solved with Fick's second law (Peaceman-Rachford ADI)
+// Rows run along the channels, the top and bottom rows touch the medium channels.
+// Each cell has an open fraction (1 = gel, 0 = solid obstacle) that is also its
+// share of a cell's volume; a face conducts as much as the less open of its two
+// cells, so obstacles are no-flux
+class DiffusionField {
+    constructor(nx, ny, dx) {
+        this.nx = nx;
+        this.ny = ny;
+        this.dx = dx;
+        this.values = new Float64Array(nx * ny);
+        this.scratch = new Float64Array(nx * ny);
+        this.setObstacles(null);
+        
+        // Work arrays for the line solves
+        const n = Math.max(nx, ny);
+        this.a = new Float64Array(n);
+        this.b = new Float64Array(n);
+        this.c = new Float64Array(n);
+        this.d = new Float64Array(n);
+        this.x = new Float64Array(n);
+    }
+    
+    clear() {
+        this.values.fill(0);
+    }
+    
+    // Open fraction per cell (null = all gel); precomputes the face conductances
+    setObstacles(open) {
+        const { nx, ny } = this;
+        this.open = open ? Float64Array.from(open) : new Float64Array(nx * ny).fill(1);
+        this.east = new Float64Array(nx * ny);
+        this.south = new Float64Array(nx * ny);
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const k = j * nx + i;
+                if (i < nx - 1) this.east[k] = Math.min(this.open[k], this.open[k + 1]);
+                if (j < ny - 1) this.south[k] = Math.min(this.open[k], this.open[k + nx]);
+            }
+        }
+        this.openVolume = this.open.reduce((acc, f) => acc + f, 0);
+    }
+    
+    // Open fraction of the gel face against the top or bottom channel
+    interfaceOpenFraction(side) {
+        const row = side === 'top' ? 0 : this.ny - 1;
+        let sum = 0;
+        for (let i = 0; i < this.nx; i++) sum += this.open[row * this.nx + i];
+        return sum / this.nx;
+    }
+    
+    // Mean over the gel volume, excluding obstacles
+    mean() {
+        let sum = 0;
+        for (let k = 0; k < this.values.length; k++) sum += this.values[k] * this.open[k];
+        return this.openVolume > 0 ? sum / this.openVolume : 0;
+    }
+    
+    // Mean concentration of one grid row, excluding obstacles
+    rowMean(j) {
+        let sum = 0;
+        let open = 0;
+        for (let i = 0; i < this.nx; i++) {
+            const k = j * this.nx + i;
+            sum += this.values[k] * this.open[k];
+            open += this.open[k];
+        }
+        return open > 0 ? sum / open : 0;
+    }
+    
+    // Lowest concentration in the gel, excluding obstacles
+    min() {
+        let min = Infinity;
+        for (let k = 0; k < this.values.length; k++) {
+            if (this.open[k] > 0) min = Math.min(min, this.values[k]);
+        }
+        return min;
+    }
+    
+    // Fraction of the gel volume below a concentration
+    fractionBelow(level) {
+        let below = 0;
+        for (let k = 0; k < this.values.length; k++) {
+            if (this.values[k] < level) below += this.open[k];
+        }
+        return this.openVolume > 0 ? below / this.openVolume : 0;
+    }
+    
+    // Bilinear sample at fractional grid coordinates (cell centres at i + 0.5)
+    sample(gx, gy) {
+        const fx = Math.min(Math.max(gx - 0.5, 0), this.nx - 1);
+        const fy = Math.min(Math.max(gy - 0.5, 0), this.ny - 1);
+        const i0 = Math.floor(fx), j0 = Math.floor(fy);
+        const i1 = Math.min(i0 + 1, this.nx - 1), j1 = Math.min(j0 + 1, this.ny - 1);
+        const tx = fx - i0, ty = fy - j0;
+        const v = this.values, nx = this.nx;
+        const top = v[j0 * nx + i0] * (1 - tx) + v[j0 * nx + i1] * tx;
+        const bottom = v[j1 * nx + i0] * (1 - tx) + v[j1 * nx + i1] * tx;
+        return top * (1 - ty) + bottom * ty;
+    }
+    
+    // Advance by dt (s) with diffusion coefficient D (µm²/s)
+    // top/bottom hold the channel concentration above/below each column (Dirichlet),
+    // the left and right ends of the gel are no-flux
+    step(dt, D, top, bottom) {
+        // ADI is unconditionally stable but loses accuracy for very large steps
+        const maxDt = 2 * this.dx * this.dx / D;
+        const substeps = Math.max(1, Math.ceil(dt / maxDt));
+        for (let s = 0; s < substeps; s++) {
+            this.adiStep(dt / substeps, D, top, bottom);
+        }
+    }
+    
+    adiStep(dt, D, top, bottom) {
+        const { nx, ny, a, b, c, d, x, open, east, south } = this;
+        const u = this.values;
+        const v = this.scratch;
+        const r = D * dt / (2 * this.dx * this.dx);
+        const last = (ny - 1) * nx;
+        
+        // Fluxes change a partly open cell's concentration in proportion to its
+        // smaller volume; solid cells keep theirs
+        const scale = k => open[k] > 0 ? r / open[k] : 0;
+        
+        // Half step 1: implicit along x, explicit along y
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const k = j * nx + i;
+                const rk = scale(k);
+                const up = j > 0 ? south[k - nx] * (u[k - nx] - u[k]) : 2 * open[i] * (top[i] - u[k]);
+                const down = j < ny - 1 ? south[k] * (u[k + nx] - u[k]) : 2 * open[last + i] * (bottom[i] - u[k]);
+                a[i] = i > 0 ? -rk * east[k - 1] : 0;
+                c[i] = -rk * east[k];
+                b[i] = 1 - a[i] - c[i];
+                d[i] = u[k] + rk * (up + down);
+            }
+            solveTridiagonal(a, b, c, d, x, nx);
+            for (let i = 0; i < nx; i++) v[j * nx + i] = x[i];
+        }
+        
+        // Half step 2: implicit along y, explicit along x
+        // The channel walls sit half a cell away, hence the doubled coefficient
+        for (let i = 0; i < nx; i++) {
+            for (let j = 0; j < ny; j++) {
+                const k = j * nx + i;
+                const rk = scale(k);
+                const left = i > 0 ? east[k - 1] * (v[k - 1] - v[k]) : 0;
+                const right = i < nx - 1 ? east[k] * (v[k + 1] - v[k]) : 0;
+                const wallUp = j === 0 ? 2 * rk * open[i] : 0;
+                const wallDown = j === ny - 1 ? 2 * rk * open[last + i] : 0;
+                a[j] = j > 0 ? -rk * south[k - nx] : 0;
+                c[j] = -rk * south[k];
+                b[j] = 1 - a[j] - c[j] + wallUp + wallDown;
+                d[j] = v[k] + rk * (left + right) + wallUp * top[i] + wallDown * bottom[i];
+            }
+            solveTridiagonal(a, b, c, d, x, ny);
+            for (let j = 0; j < ny; j++) u[j * nx + i] = x[j];
+        }
+    }
+}
+
+// Cross-section averaged concentration along a medium channel: 1D advection
+// with Taylor-Aris dispersion, solved implicitly (upwind + central differences)
+class ChannelField {
+    constructor(n, dx) {
+        this.n = n;
+        this.dx = dx;
+        this.values = new Float64Array(n);
+        this.inlet = 0;
+        this.previousInlet = 0;
+        this.frontAge = 0;  // s since the inlet composition last changed
+        
+        this.a = new Float64Array(n);
+        this.b = new Float64Array(n);
+        this.c = new Float64Array(n);
+        this.d = new Float64Array(n);
+    }
+    
+    clear() {
+        this.values.fill(0);
+        this.inlet = 0;
+        this.previousInlet = 0;
+        this.frontAge = 0;
+    }
+    
+    mean() {
+        let sum = 0;
+        for (let i = 0; i < this.n; i++) sum += this.values[i];
+        return sum / this.n;
+    }
+    
+    // Switch the solution entering at the inlet
+    setInlet(concentration) {
+        if (concentration !== this.inlet) {
+            this.previousInlet = this.inlet;
+            this.inlet = concentration;
+            this.frontAge = 0;
+        }
+    }
+    
+    // Linear sample at a fractional cell coordinate (cell centres at i + 0.5)
+    sample(gx) {
+        const f = gx - 0.5;
+        if (f <= 0) return f < -0.5 ? this.inlet : this.values[0];
+        if (f >= this.n - 1) return this.values[this.n - 1];
+        const i = Math.floor(f);
+        const t = f - i;
+        return this.values[i] * (1 - t) + this.values[i + 1] * t;
+    }
+    
+    // Fraction of the channel length the current inlet solution has displaced the
+    // previous one (half-way level), e.g. the drug front or the clean-medium front
+    frontPosition() {
+        const jump = this.previousInlet - this.inlet;
+        if (jump === 0) return this.inlet > 0 ? 1 : 0;
+        for (let i = 0; i < this.n; i++) {
+            if ((this.values[i] - this.inlet) / jump > 0.5) return i / this.n;
+        }
+        return 1;
+    }
+    
+    // Advance by dt (s) with mean velocity u (µm/s) and dispersion K (µm²/s)
+    step(dt, u, K) {
+        // Implicit steps are stable; sub-stepping keeps the front sharp
+        const substeps = Math.max(1, Math.ceil(u * dt / this.dx));
+        const h = dt / substeps;
+        const alpha = u * h / this.dx;
+        const beta = K * h / (this.dx * this.dx);
+        const { n, a, b, c, d } = this;
+        
+        for (let s = 0; s < substeps; s++) {
+            for (let i = 0; i < n; i++) {
+                a[i] = i > 0 ? -(alpha + beta) : 0;
+                c[i] = i < n - 1 ? -beta : 0;
+                // Zero-gradient outlet: no dispersive flux through the last face
+                b[i] = 1 + alpha + (i < n - 1 ? 2 * beta : beta);
+                d[i] = this.values[i];
+            }
+            d[0] += (alpha + beta) * this.inlet;
+            solveTridiagonal(a, b, c, d, this.values, n);
+        }
+        this.frontAge += dt;
+    }
+}
+
+class ChipModel {
+    constructor(options = {}) {
+        // Frame (px) the chip is laid out in; cell positions are in its coordinates
+        this.frame = { width: options.width || 800, height: options.height || 500 };
+        
+        // Run state
+        this.simulationTime = 0;
+        this.timeCompression = 10;      // experiment seconds per real second of playback
+        this.physicsStep = 1;           // s of experiment time per update, at any playback speed
+        this.flowRates = { top: 0.5, bottom: 0.5 }; // µL/min
+        
+        // Transport parameters
+        this.umPerPx = 10;              // physical scale of the chip drawing
+        this.gridSize = 5;              // px per concentration grid cell
+        this.drugConcentration = 10;    // µM for newly added drug phases
+        this.temperature = 310;         // K
+        
+        // Culture medium at 37 °C
+        this.mediumDensity = 1000;      // kg/m³
+        this.mediumViscosity = 0.00078; // Pa·s
+        
+        // Drug flow states
+        this.flowParticles = [];
+        this.drugParticles = [];
+        this.diffusionParticles = [];
+        this.drugStartTime = null;
+        
+        // Species shown in the transport readouts and the gel profile
+        this.displaySpecies = this.species[0].id;
+        
+        // Recorded time series
+        this.history = [];
+        this.historyStride = 1;
+        this.stepCount = 0;
+        
+        // Run snapshots for the timeline; seeking re-runs the physics from the one before
+        this.snapshots = [];
+        this.snapshotSteps = this.snapshotEvery;
+        this.stepsSinceSnapshot = 0;
+        this.seeking = false;
+        
+        // Washout tracking
+        this.washoutState = null;
+        
+        // Protocol execution
+        this.phaseIndex = 0;
+        this.phaseStartTime = 0;
+        this.protocolComplete = false;
+        
+        // Randomness: cell placement, the run (particles), the neurons' synaptic
+        // noise and edits to the cells draw from separate streams of one seed, so a
+        // run can be replayed on the same layout
+        this.seed = options.seed !== undefined ? options.seed : Math.floor(Math.random() * 1e6);
+        this.rng = new SeededRandom(this.seed + 1);
+        this.ephysRng = new SeededRandom(this.seed + 2);
+        this.placementRng = new SeededRandom(this.seed + 3);
+        
+        // Latest electrophysiology window, and when the next one is recorded (s)
+        this.recording = null;
+        this.nextRecordingTime = 0;
+        
+        // Cell structures
+        this.motorNeurons = [];
+        this.schwannCells = [];
+        this.otherCells = [];
+        this.axons = [];
+        
+        // Build the chip and start the first phase
+        this.initializeStructures();
+        this.applyPhase();
+        this.markPhase();
+    }
+    
+    // Pharmacodynamic parameters per population, applied to AUC in µM·min
+    // Retention: cells take up drug to partition × local concentration and clear it
+    // with the given half-life (min), so exposure continues after washout
+    responseModels = {
+        neuron: { ec50: 60, hill: 2, emax: 1, partition: 1, halfLife: 15 },
+        axon: { ec50: 90, hill: 2, emax: 1, partition: 1, halfLife: 10 },
+        schwannCell: { ec50: 150, hill: 1.5, emax: 1, partition: 1, halfLife: 30 }
+    };
+    
+    // Further cell populations placed beside the neurons and Schwann cells. Each
+    // type has its own colour, size (px), shape and hover description, and takes
+    // up and responds to compounds through the response model it follows
+    cellTypes = [
+        {
+            id: 'macrophage', name: 'Macrophages', color: '#d98c3f', radius: 6, shape: 'amoeboid', responseModel: 'schwannCell',
+            description: 'Resident immune cells that patrol the gel and clear debris from degenerating axons.'
+        },
+        {
+            id: 'endothelial', name: 'Endothelial cells', color: '#e06688', radius: 7, shape: 'elongated', responseModel: 'schwannCell',
+            description: 'Vascular lining cells seeded into the gel to model the blood-nerve barrier.'
+        }
+    ];
+    
+    cellShapes = { round: 'Round', elongated: 'Elongated', amoeboid: 'Amoeboid' };
+    
+    // Seeding densities (cells/mm² of gel) offered per population; the chip keeps
+    // at least one motor neuron
+    cellDensityLimits = {
+        neuron: { min: 0, max: 3, step: 0.1 },
+        schwannCell: { min: 0, max: 10, step: 0.1 },
+        other: { min: 0, max: 20, step: 0.1 }
+    };
+    
+    // Residual fraction of the pre-washout level that counts as cleared
+    clearanceTarget = 0.01;
+    
+    // Effect levels separating healthy, stressed and degenerating cells
+    responseThresholds = { stressed: 0.2, degenerating: 0.6 };
+    
+    // Axon outgrowth and degeneration. Each axon grows along a fixed track from its
+    // soma toward the bottom channel, in segments of segmentLength (µm) that each
+    // sample exposure; startLength is the fraction of the track grown at t = 0.
+    // The growth cone advances at growthRate (µm/h), slowed by the effect on the
+    // soma and the tip and by the soma's lost viability, and sped up by up to
+    // trophicBoost times at trophic saturation (half at trophicK50 µM retained),
+    // and retracts at retractionRate (µm/h) while the tip is stressed. Segments
+    // above degenerationThreshold lose integrity at up to degenerationRate per
+    // hour; below beadingIntegrity they bead and stop conducting, at zero they
+    // fragment, and everything distal to a fragment degenerates at wallerianRate
+    // per hour.
+    // Myelin (0–1 per segment) starts at startMyelin where a Schwann cell ensheathes
+    // the axon and compacts toward 1 at myelinationRate per hour, slowed by the
+    // Schwann cell's effect. It is stripped at up to strippingRate per hour by
+    // demyelinating compounds (half at stripK50 µM retained), lost at up to
+    // myelinLossRate per hour with its Schwann cell's effect, and never exceeds
+    // the integrity of the axon beneath
+    axonDynamics = {
+        segmentLength: 100, startLength: 1,
+        growthRate: 40, trophicBoost: 2, trophicK50: 1,
+        retractionRate: 60,
+        degenerationThreshold: 0.6, degenerationRate: 3, beadingIntegrity: 0.6, wallerianRate: 1,
+        startMyelin: 1, myelinationRate: 0.1, strippingRate: 2, stripK50: 1, myelinLossRate: 1
+    };
+    
+    // Editable axon parameters: form label, unit and range
+    axonDynamicsLimits = {
+        startLength: { label: 'Start length', unit: 'of track', min: 0, max: 1, step: 0.05 },
+        growthRate: { label: 'Growth', unit: 'µm/h', min: 0, max: 500, step: 5 },
+        trophicBoost: { label: 'Trophic boost', unit: '×', min: 0, max: 10, step: 0.5 },
+        retractionRate: { label: 'Retraction', unit: 'µm/h', min: 0, max: 500, step: 5 },
+        degenerationThreshold: { label: 'Damage above', unit: 'effect', min: 0.05, max: 0.95, step: 0.05 },
+        degenerationRate: { label: 'Degeneration', unit: '/h', min: 0, max: 20, step: 0.1 },
+        wallerianRate: { label: 'Wallerian', unit: '/h', min: 0, max: 20, step: 0.1 },
+        segmentLength: { label: 'Segment', unit: 'µm', min: 20, max: 500, step: 10 },
+        startMyelin: { label: 'Start myelin', unit: 'of sheath', min: 0, max: 1, step: 0.05 },
+        myelinationRate: { label: 'Myelination', unit: '/h', min: 0, max: 5, step: 0.01 },
+        strippingRate: { label: 'Stripping', unit: '/h', min: 0, max: 20, step: 0.1 },
+        myelinLossRate: { label: 'Sheath loss', unit: '/h', min: 0, max: 20, step: 0.1 }
+    };
+    
+    // Oxygen and glucose, supplied at the medium level (µM) by both channels,
+    // diffusing through the gel (as deep as the channels) and taken up by every
+    // cell at a Michaelis–Menten rate: vmax (amol/s per cell), half-maximal at km
+    // (µM). A cell starves below threshold (µM). The chip walls are taken as
+    // impermeable, as for glass or thermoplastic chips
+    nutrients = [
+        { id: 'oxygen', name: 'Oxygen', color: '#66ccff', medium: 200, diffusivity: 2000, vmax: 40, km: 2, threshold: 20 },
+        { id: 'glucose', name: 'Glucose', color: '#ffcc66', medium: 25000, diffusivity: 600, vmax: 20, km: 1000, threshold: 500 }
+    ];
+    
+    // Editable nutrient fields: table heading, unit and range
+    nutrientLimits = {
+        medium: { label: 'Medium', unit: 'µM', min: 0, max: 50000, step: 1 },
+        diffusivity: { label: 'D', unit: 'µm²/s', min: 1, max: 10000, step: 10 },
+        vmax: { label: 'Vmax', unit: 'amol/s', min: 0, max: 1000, step: 1 },
+        km: { label: 'Km', unit: 'µM', min: 0.01, max: 10000, step: 0.01 },
+        threshold: { label: 'Starved below', unit: 'µM', min: 0.1, max: 10000, step: 0.1 }
+    };
+    
+    // Besides the drawn cells, the gel holds a culture of gelCellDensity cells/mm³
+    // that takes up nutrients everywhere. A drawn cell loses viability (1 → 0) at
+    // up to deathRate per hour while its scarcest nutrient is below threshold,
+    // faster the nearer that nutrient is to zero; dead cells take up nothing
+    nutrientDynamics = { gelCellDensity: 8000, deathRate: 0.5 };
+    
+    nutrientDynamicsLimits = {
+        gelCellDensity: { label: 'Gel culture', unit: 'cells/mm³', min: 0, max: 100000, step: 100 },
+        deathRate: { label: 'Starvation death', unit: '/h', min: 0, max: 20, step: 0.05 }
+    };
+    
+    // Electrophysiology: Izhikevich regular-spiking neurons (a, b, c, d; mV and ms)
+    // driven by a tonic current plus per-step noise (s.d.), all input scaled down by
+    // each neuron's drug effect and lost viability. Every interval (s) of experiment
+    // time a window (ms) is simulated at dt (ms), and every axon is stimulated at
+    // stimulus (ms) to evoke a compound action potential. Axons conduct at
+    // velocity (m/s), slowed by up to slowing at full segment effect and sped up by
+    // 1 + myelinGain times at full myelin; a beaded or fragmented segment blocks
+    // conduction. baselineRate (Hz) is the drug-free spontaneous rate of this drive
+    electrophysiology = {
+        a: 0.02, b: 0.2, c: -65, d: 8,
+        drive: 2, noise: 6,
+        interval: 10, window: 1000, dt: 1, stimulus: 500,
+        velocity: 0.4, slowing: 0.7, myelinGain: 9,
+        baselineRate: 10
+    };
+    
+    // Multi-electrode array under the gel: electrode rows (fractions of the gel
+    // height) by evenly spaced columns. Spike peak amplitudes (µV) of a soma and an
+    // axon at an electrode fall off as 1 / (1 + (d / falloff)²) with distance d (µm);
+    // noise in µV rms, sample rate in kHz
+    mea = { rows: [0.1, 0.37, 0.63, 0.9], columns: 8, somaAmplitude: 120, axonAmplitude: 60, falloff: 100, noise: 5, sampleRate: 10 };
+    
+    // Chip design in µm; the canvas layout and the transport grids derive from it.
+    // Channel width is across the channel in the drawing plane, depth out of it
+    geometry = {
+        channelWidth: 450,
+        channelDepth: 100,
+        channelLength: 4400,
+        hydrogelWidth: 2500,
+        reservoirDiameter: 400,
+        reservoirOffset: 530,
+        portOffset: 630,
+        postShape: 'round',
+        postWidth: 100,
+        postGap: 150
+    };
+    
+    // Editable range per geometry field, sized so the chip fits the canvas at 10 µm/px
+    geometryLimits = {
+        channelWidth: { label: 'Channel width', min: 100, max: 600, step: 10 },
+        channelDepth: { label: 'Channel depth', min: 20, max: 500, step: 10 },
+        channelLength: { label: 'Channel length', min: 2000, max: 5600, step: 50 },
+        hydrogelWidth: { label: 'Hydrogel width', min: 500, max: 3000, step: 50 },
+        reservoirDiameter: { label: 'Reservoir diameter', min: 200, max: 600, step: 10 },
+        reservoirOffset: { label: 'Reservoir offset', min: 300, max: 800, step: 10 },
+        portOffset: { label: 'Gel port offset', min: 300, max: 800, step: 10 },
+        postWidth: { label: 'Post width', min: 50, max: 400, step: 10 },
+        postGap: { label: 'Post gap', min: 50, max: 1000, step: 10 }
+    };
+    
+    // Post cross-sections; posts are as deep (into the gel) as they are wide.
+    // Triangles sit base-on-interface with the apex pointing into the gel
+    postShapes = {
+        none: 'No posts',
+        square: 'Square',
+        round: 'Round',
+        triangle: 'Triangular'
+    };
+    
+    // Channels plus gel may not be taller than this (µm) on the canvas
+    maxChipHeight = 4200;
+    
+    // Transported species. Diffusivity in µm²/s; effect decides how a species enters
+    // the cell response: additive species sum their potency-weighted AUC into one dose,
+    // antagonistic species protect against it, trophic species speed axon growth and
+    // demyelinating species strip myelin by their potency-weighted retained level,
+    // 'none' is an inert tracer
+    species = [
+        { id: 'drugA', name: 'Drug A', color: '#ff4444', molecularWeight: 300, diffusivity: 495, effect: 'additive', potency: 1 },
+        { id: 'tracer', name: 'Dextran tracer', color: '#44dd66', molecularWeight: 10000, diffusivity: 154, effect: 'none', potency: 0 },
+        { id: 'protectant', name: 'Neuroprotectant', color: '#4488ff', molecularWeight: 350, diffusivity: 470, effect: 'antagonistic', potency: 1 }
+    ];
+    
+    // How a species combines in the cell-response model
+    speciesEffects = {
+        additive: 'Additive',
+        antagonistic: 'Antagonistic',
+        trophic: 'Trophic (axon growth)',
+        demyelinating: 'Demyelinating',
+        none: 'Tracer (no effect)'
+    };
+    
+    // Syringe pump range, µL/min; 0 stops the pump
+    flowRateLimits = { min: 0, max: 100 };
+    
+    // Dosing protocol: phases run in order, durations in minutes; each channel inlet
+    // has its own pump rate (µL/min) and solution (µM per species, missing = 0)
+    protocol = {
+        phases: [
+            {
+                name: 'Pre-conditioning', type: 'medium', duration: 2,
+                inlets: {
+                    top: { flowRate: 0.5, concentrations: {} },
+                    bottom: { flowRate: 0.5, concentrations: {} }
+                }
+            },
+            {
+                name: 'Drug A', type: 'drug', duration: 30,
+                inlets: {
+                    top: { flowRate: 0.5, concentrations: { drugA: 10, tracer: 1 } },
+                    bottom: { flowRate: 0.5, concentrations: { drugA: 10, tracer: 1 } }
+                }
+            },
+            {
+                name: 'Washout', type: 'washout', duration: 30,
+                inlets: {
+                    top: { flowRate: 0.5, concentrations: {} },
+                    bottom: { flowRate: 0.5, concentrations: {} }
+                }
+            }
+        ]
+    };
+    
+    // Phase types offered by the protocol editor
+    phaseTypes = {
+        medium: { label: 'Medium', color: '#4a90d9' },
+        drug: { label: 'Drug', color: '#ff4444' },
+        washout: { label: 'Washout', color: '#00a88a' }
+    };
+    
+    // Gel depths (fraction of the gel height from the top channel) recorded for the charts
+    gelDepths = [0.1, 0.3, 0.5, 0.7, 0.9];
+    // Samples kept before the history is thinned to every other sample
+    historyLimit = 4000;
+    // Physics steps between periodic snapshots; the spacing doubles past the limit
+    snapshotEvery = 120;
+    snapshotLimit = 150;
+    
+    initializeStructures() {
+        this.layout = this.computeLayout();
+        this.initializeGrids();
+        this.buildCells(this.randomCellGeometry());
+        
+        this.createFlowParticles();
+    }
+    
+    // Flow particles in channels
+    createFlowParticles() {
+        const L = this.layout;
+        const length = L.channelEndX - L.channelStartX;
+        this.flowParticles = [];
+        for (let i = 0; i < 12; i++) {
+            this.flowParticles.push({
+                // Random x and y within top channel length
+                x: L.channelStartX + this.random() * length,
+                y: L.topChannelY + 5 + this.random() * (L.channelHeight - 10),
+                size: 2.5,
+                channel: 'top'
+            });
+            this.flowParticles.push({
+                // Random x and y within bottom channel length
+                x: L.channelStartX + this.random() * length,
+                y: L.bottomChannelY + 5 + this.random() * (L.channelHeight - 10),
+                size: 2.5,
+                channel: 'bottom'
+            });
+        }
+    }
+    
+    // Layout (px) from the geometry: channels and gel centred in the frame,
+    // reservoirs beyond the channel ends, the gel port left of the gel
+    computeLayout() {
+        const g = this.geometry;
+        const px = um => um / this.umPerPx;
+        const channelHeight = px(g.channelWidth);
+        const hydrogelHeight = px(g.hydrogelWidth);
+        const length = px(g.channelLength);
+        const topChannelY = (this.frame.height - 2 * channelHeight - hydrogelHeight) / 2;
+        const hydrogelY = topChannelY + channelHeight;
+        const bottomChannelY = hydrogelY + hydrogelHeight;
+        const channelStartX = (this.frame.width - length) / 2;
+        const channelEndX = channelStartX + length;
+        
+        const reservoirRadius = px(g.reservoirDiameter) / 2;
+        const inletX = channelStartX - px(g.reservoirOffset);
+        const outletX = channelEndX + px(g.reservoirOffset);
+        const topY = topChannelY + channelHeight / 2;
+        const bottomY = bottomChannelY + channelHeight / 2;
+        const margin = 20;
+        
+        // MEA electrodes, named by row letter and column number (A1 at the inlet end
+        // of the neuron row)
+        const electrodes = [];
+        this.mea.rows.forEach((row, r) => {
+            for (let c = 0; c < this.mea.columns; c++) {
+                electrodes.push({
+                    id: `${String.fromCharCode(65 + r)}${c + 1}`,
+                    x: channelStartX + (c + 0.5) * length / this.mea.columns,
+                    y: hydrogelY + row * hydrogelHeight
+                });
+            }
+        });
+        
+        return {
+            topChannelY, channelHeight,
+            hydrogelY, hydrogelHeight,
+            bottomChannelY,
+            channelStartX, channelEndX,
+            chip: {
+                x: inletX - reservoirRadius - margin,
+                y: topChannelY - 25,
+                w: outletX - inletX + 2 * (reservoirRadius + margin),
+                h: bottomChannelY + channelHeight + 35 - (topChannelY - 25)
+            },
+            reservoirRadius,
+            reservoirs: [
+                { x: inletX, y: topY, inlet: true, channel: 'top' },
+                { x: inletX, y: bottomY, inlet: true, channel: 'bottom' },
+                { x: outletX, y: topY, inlet: false, channel: 'top' },
+                { x: outletX, y: bottomY, inlet: false, channel: 'bottom' }
+            ],
+            port: { x: channelStartX - px(g.portOffset), y: hydrogelY + hydrogelHeight / 2, r: 11 },
+            electrodes
+        };
+    }
+    
+    // Clamp an edited geometry to the allowed ranges and rebuild the chip around
+    // it; the cells keep their places, refitted into the new gel
+    applyGeometry(changes) {
+        const g = { ...this.geometry, ...changes };
+        Object.entries(this.geometryLimits).forEach(([key, limit]) => {
+            const value = Math.round(g[key] / limit.step) * limit.step;
+            g[key] = Math.min(Math.max(value, limit.min), limit.max);
+        });
+        // Keep both channels and the gel in the frame
+        g.hydrogelWidth = Math.min(g.hydrogelWidth, this.maxChipHeight - 2 * g.channelWidth);
+        this.geometry = g;
+        
+        const from = this.layout;
+        const cells = this.cellGeometry();
+        const sheathed = this.schwannCells.map(s => this.axons.findIndex(a => a.id === s.axon));
+        this.layout = this.computeLayout();
+        this.initializeGrids();
+        this.buildCells(this.refitCellGeometry(cells, from, sheathed));
+        this.reset();
+    }
+    
+    // Concentration grids sized to the current layout
+    initializeGrids() {
+        const L = this.layout;
+        this.gridNx = Math.round((L.channelEndX - L.channelStartX) / this.gridSize);
+        this.gridNy = Math.round(L.hydrogelHeight / this.gridSize);
+        this.posts = this.postLayout();
+        this.gelOpen = this.rasterizePosts();
+        this.transport = {};
+        this.species.forEach(sp => this.createTransport(sp.id));
+        this.createNutrientFields();
+    }
+    
+    // Posts along both gel interfaces, in µm from the gel's inlet end (x) and
+    // top channel (y). The row is centred so both ends keep half a gap
+    postLayout() {
+        const g = this.geometry;
+        if (g.postShape === 'none') return [];
+        const pitch = g.postWidth + g.postGap;
+        const count = Math.floor(g.channelLength / pitch);
+        const start = (g.channelLength - count * pitch + g.postGap) / 2;
+        const posts = [];
+        for (let k = 0; k < count; k++) {
+            const x = start + k * pitch;
+            posts.push({ side: 'top', x, y: 0, size: g.postWidth });
+            posts.push({ side: 'bottom', x, y: g.hydrogelWidth - g.postWidth, size: g.postWidth });
+        }
+        return posts;
+    }
+    
+    // Whether a point in post-local coordinates (0-1, v = 0 at the channel) is solid
+    postContains(u, v) {
+        switch (this.geometry.postShape) {
+            case 'round':
+                return (u - 0.5) * (u - 0.5) + (v - 0.5) * (v - 0.5) <= 0.25;
+            case 'triangle':
+                return Math.abs(u - 0.5) <= 0.5 * (1 - v);
+            default:
+                return true;
+        }
+    }
+    
+    // Open fraction of every gel grid cell, from 4x4 sub-samples inside the posts
+    rasterizePosts() {
+        const nx = this.gridNx;
+        const ny = this.gridNy;
+        const dx = this.gridSize * this.umPerPx;
+        const open = new Float64Array(nx * ny).fill(1);
+        const sub = 4;
+        this.posts.forEach(post => {
+            const i0 = Math.max(0, Math.floor(post.x / dx));
+            const i1 = Math.min(nx - 1, Math.floor((post.x + post.size) / dx));
+            const j0 = Math.max(0, Math.floor(post.y / dx));
+            const j1 = Math.min(ny - 1, Math.floor((post.y + post.size) / dx));
+            for (let j = j0; j <= j1; j++) {
+                for (let i = i0; i <= i1; i++) {
+                    let solid = 0;
+                    for (let sj = 0; sj < sub; sj++) {
+                        for (let si = 0; si < sub; si++) {
+                            const u = ((i + (si + 0.5) / sub) * dx - post.x) / post.size;
+                            let v = ((j + (sj + 0.5) / sub) * dx - post.y) / post.size;
+                            if (post.side === 'bottom') v = 1 - v;
+                            if (u >= 0 && u <= 1 && v >= 0 && v <= 1 && this.postContains(u, v)) solid++;
+                        }
+                    }
+                    const k = j * nx + i;
+                    open[k] = Math.max(0, open[k] - solid / (sub * sub));
+                }
+            }
+        });
+        // Slivers of gel between post and wall cannot carry flux in practice
+        for (let k = 0; k < open.length; k++) if (open[k] < 0.05) open[k] = 0;
+        return open;
+    }
+    
+    // Mean open fraction of the two channel-gel interfaces
+    interfaceOpenFraction() {
+        const gel = this.transport[this.species[0].id].gel;
+        return (gel.interfaceOpenFraction('top') + gel.interfaceOpenFraction('bottom')) / 2;
+    }
+    
+    // Randomised cell placement: the only part of a scenario not set by parameters.
+    // Drawn from the seed's layout stream, so a seed always gives the same layout
+    randomCellGeometry() {
+        const rng = new SeededRandom(this.seed);
+        const random = () => rng.next();
+        const L = this.layout;
+        const length = L.channelEndX - L.channelStartX;
+        
+        // Motor Neurons - small round cells with nuclei along top of hydrogel
+        const neurons = [];
+        for (let i = 0; i < 10; i++) {
+            neurons.push(this.neuronAt(L.channelStartX + 15 + i * (length - 50) / 9, null, random));
+        }
+        
+        // Schwann Cells - elongated yellowish-green cells lying along the axons in
+        // the lower section, each ensheathing one internode. Rows as fractions of
+        // the gel; a cell sits on the axon nearest its position
+        const schwannPositions = [
+            // Row 1
+            { x: 0.09, y: 0.62 }, { x: 0.295, y: 0.64 }, { x: 0.5, y: 0.6 },
+            { x: 0.705, y: 0.62 }, { x: 0.91, y: 0.64 },
+            // Row 2
+            { x: 0.16, y: 0.82 }, { x: 0.385, y: 0.8 }, { x: 0.615, y: 0.84 },
+            { x: 0.84, y: 0.812 }
+        ];
+        const schwannCells = schwannPositions.map(pos => {
+            const x = L.channelStartX + pos.x * length;
+            const n = neurons.reduce((best, c) => Math.abs(c.x - x) < Math.abs(best.x - x) ? c : best);
+            return this.schwannOnAxon(n, L.hydrogelY + pos.y * L.hydrogelHeight, 50 + random() * 15, 7 + random() * 2);
+        });
+        
+        return { neurons, schwannCells, others: [] };
+    }
+    
+    // A cell placement moved from an old layout's gel into the current one: each
+    // cell keeps its fraction of the gel's length and depth, clear of the posts.
+    // Neurons' axons reach the new bottom of the gel, and Schwann cells that
+    // ensheathed an axon (sheathed: axon index or -1, per cell) lie along it again
+    refitCellGeometry(geometry, from, sheathed) {
+        const L = this.layout;
+        const inset = this.cellInset();
+        const top = L.hydrogelY + inset + 5;
+        const bottom = L.hydrogelY + L.hydrogelHeight - inset - 5;
+        const axonEndY = L.hydrogelY + L.hydrogelHeight - inset - 10;
+        const x = v => L.channelStartX + (v - from.channelStartX) / (from.channelEndX - from.channelStartX) * (L.channelEndX - L.channelStartX);
+        const y = v => Math.min(Math.max(L.hydrogelY + (v - from.hydrogelY) / from.hydrogelHeight * L.hydrogelHeight, top), bottom);
+        
+        const neurons = geometry.neurons.map(n => ({
+            ...n, x: x(n.x), y: Math.min(y(n.y), axonEndY - 40), axonEndX: x(n.axonEndX), axonEndY
+        }));
+        const schwannCells = geometry.schwannCells.map((s, i) => sheathed[i] >= 0 && neurons[sheathed[i]]
+            ? this.schwannOnAxon(neurons[sheathed[i]], y(s.y), s.width, s.height)
+            : { ...s, x: x(s.x), y: y(s.y) });
+        const others = geometry.others.map(c => ({ ...c, x: x(c.x), y: y(c.y) }));
+        return { neurons, schwannCells, others };
+    }
+    
+    // Canvas px kept clear of the post rows along the gel edges
+    cellInset() {
+        return this.geometry.postShape === 'none' ? 0 : this.geometry.postWidth / this.umPerPx;
+    }
+    
+    // Motor neuron placement at x, in the soma row unless given a depth y (px),
+    // with its axon heading down to the bottom channel
+    neuronAt(x, y, random) {
+        const L = this.layout;
+        const inset = this.cellInset();
+        const axonEndY = L.hydrogelY + L.hydrogelHeight - inset - 10;
+        return {
+            x,
+            y: y !== null ? Math.min(y, axonEndY - 40) : L.hydrogelY + inset + 15 + (random() - 0.5) * 15,
+            radius: 10,
+            phase: random() * Math.PI * 2,
+            axonEndX: x + (random() - 0.5) * 20,
+            axonEndY
+        };
+    }
+    
+    // Where a neuron's axon crosses depth y (px). The axon curve is linear in y,
+    // so its parameter follows from the depth
+    axonCurveAt(n, y) {
+        const startY = n.y + n.radius;
+        const t = Math.min(1, Math.max(0, (y - startY) / (n.axonEndY - startY)));
+        return { x: n.x + (n.axonEndX - n.x) * t * t, angle: Math.atan2(n.axonEndY - startY, 2 * t * (n.axonEndX - n.x)) };
+    }
+    
+    // Schwann cell lying along a neuron's axon at depth y (px)
+    schwannOnAxon(n, y, width, height) {
+        const at = this.axonCurveAt(n, y);
+        return { x: at.x, y, width, height, rotation: at.angle };
+    }
+    
+    // Create the cell populations, with fresh exposure, from a placement
+    buildCells(geometry) {
+        this.motorNeurons = geometry.neurons.map((g, i) => ({
+            id: `MN${i + 1}`,
+            x: g.x,
+            y: g.y,
+            radius: g.radius,
+            phase: g.phase,
+            viability: 1,
+            ...this.emptyExposure()
+        }));
+        
+        this.axons = this.motorNeurons.map((neuron, i) => {
+            const axon = {
+                id: `AX${i + 1}`,
+                startX: neuron.x,
+                startY: neuron.y + neuron.radius,
+                endX: geometry.neurons[i].axonEndX,
+                endY: geometry.neurons[i].axonEndY,
+                length: 0,
+                segments: [],
+                ...this.emptyExposure()
+            };
+            axon.track = this.axonTrack(axon);
+            axon.trackLength = axon.track.reduce((acc, pt, k) =>
+                k === 0 ? 0 : acc + Math.hypot(pt.x - axon.track[k - 1].x, pt.y - axon.track[k - 1].y), 0) * this.umPerPx;
+            return axon;
+        });
+        
+        this.schwannCells = geometry.schwannCells.map((g, i) => ({
+            id: `SC${i + 1}`,
+            ...g,
+            viability: 1,
+            ...this.emptyExposure()
+        }));
+        
+        // Placements from before cell types have none; cells of a removed type go
+        const counts = {};
+        this.otherCells = (geometry.others || []).filter(g => this.cellTypeById(g.type)).map(g => {
+            counts[g.type] = (counts[g.type] || 0) + 1;
+            return { id: `${g.type}-${counts[g.type]}`, type: g.type, x: g.x, y: g.y, rotation: g.rotation, viability: 1, ...this.emptyExposure() };
+        });
+        this.ensheathAxons();
+        this.axons.forEach(axon => this.resetAxon(axon));
+    }
+    
+    // Pair each Schwann cell with the axon it lies along and that axon's track
+    // segments under it (its internode, px within reach of its long axis). A
+    // segment under two cells belongs to the one whose centre is nearer
+    ensheathAxons() {
+        const reach = 15;
+        const midpoint = (axon, k) => ({
+            x: (axon.track[k].x + axon.track[k + 1].x) / 2,
+            y: (axon.track[k].y + axon.track[k + 1].y) / 2
+        });
+        this.axons.forEach(axon => axon.sheaths = new Array(axon.track.length - 1).fill(null));
+        this.schwannCells.forEach((cell, c) => {
+            const cos = Math.cos(cell.rotation);
+            const sin = Math.sin(cell.rotation);
+            let chosen = null;
+            this.axons.forEach((axon, a) => {
+                const covered = [];
+                for (let k = 0; k < axon.track.length - 1; k++) {
+                    const m = midpoint(axon, k);
+                    const u = (m.x - cell.x) * cos + (m.y - cell.y) * sin;
+                    const v = (m.y - cell.y) * cos - (m.x - cell.x) * sin;
+                    if (Math.abs(u) <= cell.width / 2 && Math.abs(v) <= Math.max(cell.height / 2, reach)) covered.push(k);
+                }
+                if (covered.length > (chosen ? chosen.covered.length : 0)) chosen = { axon, covered };
+            });
+            cell.axon = chosen ? chosen.axon.id : null;
+            if (!chosen) return;
+            chosen.covered.forEach(k => {
+                const m = midpoint(chosen.axon, k);
+                const other = chosen.axon.sheaths[k];
+                if (other === null || Math.hypot(m.x - cell.x, m.y - cell.y) <
+                    Math.hypot(m.x - this.schwannCells[other].x, m.y - this.schwannCells[other].y)) {
+                    chosen.axon.sheaths[k] = c;
+                }
+            });
+        });
+    }
+    
+    // Route an axon grows along: its resting curve from the soma to the bottom of
+    // the gel, as points one segment length apart (the last segment may be shorter)
+    axonTrack(axon) {
+        const step = this.axonDynamics.segmentLength / this.umPerPx;
+        const midY = (axon.startY + axon.endY) / 2;
+        const samples = 400;
+        const track = [{ x: axon.startX, y: axon.startY }];
+        let prev = track[0];
+        let along = 0;
+        for (let s = 1; s <= samples; s++) {
+            const t = s / samples;
+            const pt = {
+                x: (1 - t) * (1 - t) * axon.startX + 2 * (1 - t) * t * axon.startX + t * t * axon.endX,
+                y: (1 - t) * (1 - t) * axon.startY + 2 * (1 - t) * t * midY + t * t * axon.endY
+            };
+            const d = Math.hypot(pt.x - prev.x, pt.y - prev.y);
+            if (along + d >= step) {
+                const f = (step - along) / d;
+                track.push({ x: prev.x + f * (pt.x - prev.x), y: prev.y + f * (pt.y - prev.y) });
+                along += d - step;
+            } else {
+                along += d;
+            }
+            prev = pt;
+        }
+        if (along > 1e-6) track.push(prev);
+        return track;
+    }
+    
+    // Point on an axon's track a distance (µm) from the soma
+    trackPoint(axon, distance) {
+        const step = this.axonDynamics.segmentLength;
+        const k = Math.max(0, Math.min(axon.track.length - 2, Math.floor(distance / step)));
+        const a = axon.track[k];
+        const b = axon.track[k + 1];
+        const span = Math.hypot(b.x - a.x, b.y - a.y) * this.umPerPx;
+        const f = span > 0 ? Math.min(1, Math.max(0, (distance - k * step) / span)) : 0;
+        return { x: a.x + f * (b.x - a.x), y: a.y + f * (b.y - a.y) };
+    }
+    
+    // Axon back to its starting length, unexposed and intact, with its ensheathed
+    // segments at the starting myelin
+    resetAxon(axon) {
+        axon.length = this.axonDynamics.startLength * axon.trackLength;
+        axon.segments = [];
+        this.fitAxonSegments(axon);
+        axon.segments.forEach((seg, k) => seg.myelin = axon.sheaths[k] === null ? 0 : this.axonDynamics.startMyelin);
+    }
+    
+    // Segments for the axon's grown length: new ones start unexposed, intact and
+    // bare, sampling exposure at their midpoint on the track; retracted ones are dropped
+    fitAxonSegments(axon) {
+        const count = Math.min(axon.track.length - 1,
+            Math.max(1, Math.ceil(axon.length / this.axonDynamics.segmentLength - 1e-9)));
+        while (axon.segments.length > count) axon.segments.pop();
+        while (axon.segments.length < count) {
+            const k = axon.segments.length;
+            const a = axon.track[k];
+            const b = axon.track[k + 1];
+            axon.segments.push({
+                id: `${axon.id}.${k + 1}`,
+                x: (a.x + b.x) / 2,
+                y: (a.y + b.y) / 2,
+                integrity: 1,
+                myelin: 0,
+                ...this.emptyExposure()
+            });
+        }
+    }
+    
+    // Placement of the current cells, as accepted by buildCells(); compact
+    // rounds to 0.01 px for shorter share links
+    cellGeometry(compact = false) {
+        const round = compact ? v => Math.round(v * 100) / 100 : v => v;
+        return {
+            neurons: this.motorNeurons.map((n, i) => ({
+                x: round(n.x), y: round(n.y), radius: n.radius, phase: round(n.phase),
+                axonEndX: round(this.axons[i].endX), axonEndY: round(this.axons[i].endY)
+            })),
+            schwannCells: this.schwannCells.map(s => ({
+                x: round(s.x), y: round(s.y), width: round(s.width), height: round(s.height), rotation: round(s.rotation)
+            })),
+            others: this.otherCells.map(c => ({ type: c.type, x: round(c.x), y: round(c.y), rotation: round(c.rotation) }))
+        };
+    }
+    
+    cellTypeById(id) {
+        return this.cellTypes.find(t => t.id === id);
+    }
+    
+    // Placed cells of one population: 'neuron', 'schwannCell' or a cell type id
+    cellsOf(kind) {
+        if (kind === 'neuron') return this.motorNeurons;
+        if (kind === 'schwannCell') return this.schwannCells;
+        return this.otherCells.filter(c => c.type === kind);
+    }
+    
+    // Gel area (mm²) that seeding densities refer to
+    gelArea() {
+        const L = this.layout;
+        return (L.channelEndX - L.channelStartX) * L.hydrogelHeight * this.umPerPx * this.umPerPx / 1e6;
+    }
+    
+    // Placement of one new cell of a population at (x, y) px, inside the gel. A
+    // Schwann cell lies along the nearest axon when one passes within reach
+    placeCell(kind, x, y, geometry) {
+        const L = this.layout;
+        const inset = this.cellInset();
+        const random = () => this.placementRng.next();
+        x = Math.min(Math.max(x, L.channelStartX + 5), L.channelEndX - 5);
+        y = Math.min(Math.max(y, L.hydrogelY + inset + 5), L.hydrogelY + L.hydrogelHeight - inset - 5);
+        if (kind === 'neuron') return this.neuronAt(x, y, random);
+        if (kind === 'schwannCell') {
+            const width = 50 + random() * 15;
+            const height = 7 + random() * 2;
+            const distance = n => Math.abs(this.axonCurveAt(n, y).x - x);
+            const nearest = geometry.neurons.reduce((best, n) => best === null || distance(n) < distance(best) ? n : best, null);
+            return nearest && distance(nearest) <= 30
+                ? this.schwannOnAxon(nearest, y, width, height)
+                : { x, y, width, height, rotation: Math.PI / 2 };
+        }
+        return { type: kind, x, y, rotation: random() * Math.PI };
+    }
+    
+    // Geometry list holding a population's placements, and the position of the
+    // index-th cell of that population in it
+    placementsOf(geometry, kind) {
+        if (kind === 'neuron') return { list: geometry.neurons, at: index => index };
+        if (kind === 'schwannCell') return { list: geometry.schwannCells, at: index => index };
+        const positions = geometry.others.map((g, i) => g.type === kind ? i : -1).filter(i => i >= 0);
+        return { list: geometry.others, at: index => positions[index] };
+    }
+    
+    // Replace the cell placement and restart the run
+    applyCells(geometry) {
+        this.buildCells(geometry);
+        this.reset();
+    }
+    
+    // Place a cell of a population at (x, y) px and restart the run
+    addCell(kind, x, y) {
+        const geometry = this.cellGeometry();
+        const placed = this.placeCell(kind, x, y, geometry);
+        this.placementsOf(geometry, kind).list.push(placed);
+        this.applyCells(geometry);
+    }
+    
+    // Move the index-th cell of a population to (x, y) px and restart the run. A
+    // neuron takes its axon with it
+    moveCell(kind, index, x, y) {
+        const geometry = this.cellGeometry();
+        const { list, at } = this.placementsOf(geometry, kind);
+        const old = list[at(index)];
+        if (!old) return;
+        const placed = this.placeCell(kind, x, y, geometry);
+        if (kind === 'neuron') {
+            list[at(index)] = { ...old, x: placed.x, y: placed.y, axonEndX: old.axonEndX + placed.x - old.x };
+        } else if (kind === 'schwannCell') {
+            list[at(index)] = { ...placed, width: old.width, height: old.height };
+        } else {
+            list[at(index)] = { ...old, x: placed.x, y: placed.y };
+        }
+        this.applyCells(geometry);
+    }
+    
+    removeCell(kind, index) {
+        if (kind === 'neuron' && this.motorNeurons.length === 1) return;
+        const geometry = this.cellGeometry();
+        const { list, at } = this.placementsOf(geometry, kind);
+        if (!list[at(index)]) return;
+        list.splice(at(index), 1);
+        this.applyCells(geometry);
+    }
+    
+    // Replace a population with cells seeded at random at a density (cells/mm²)
+    // and restart the run. Neurons go to the soma row in order along the gel,
+    // Schwann cells onto axons in the lower gel, other types anywhere in the gel
+    seedCells(kind, density) {
+        const limit = this.cellDensityLimits[kind] || this.cellDensityLimits.other;
+        density = Math.min(Math.max(density, limit.min), limit.max);
+        const L = this.layout;
+        const length = L.channelEndX - L.channelStartX;
+        const inset = this.cellInset();
+        const random = () => this.placementRng.next();
+        let count = Math.round(density * this.gelArea());
+        if (kind === 'neuron') count = Math.max(1, count);
+        
+        const geometry = this.cellGeometry();
+        const { list } = this.placementsOf(geometry, kind);
+        const placed = Array.from({ length: count }, () => {
+            if (kind === 'neuron') return this.neuronAt(L.channelStartX + 15 + random() * (length - 50), null, random);
+            if (kind === 'schwannCell') {
+                const y = L.hydrogelY + (0.55 + random() * 0.35) * L.hydrogelHeight;
+                return geometry.neurons.length > 0
+                    ? this.schwannOnAxon(geometry.neurons[Math.floor(random() * geometry.neurons.length)], y, 50 + random() * 15, 7 + random() * 2)
+                    : this.placeCell(kind, L.channelStartX + random() * length, y, geometry);
+            }
+            return this.placeCell(kind, L.channelStartX + random() * length,
+                L.hydrogelY + inset + random() * (L.hydrogelHeight - 2 * inset), geometry);
+        });
+        if (kind === 'neuron') placed.sort((a, b) => a.x - b.x);
+        if (kind === 'neuron' || kind === 'schwannCell') {
+            list.splice(0, list.length, ...placed);
+        } else {
+            geometry.others = geometry.others.filter(g => g.type !== kind).concat(placed);
+        }
+        this.applyCells(geometry);
+    }
+    
+    // Replace each population that has marks ({ kind, x, y } in px, e.g. cells
+    // picked out on a micrograph) with cells at the marked positions and restart
+    // the run; populations without marks keep their cells. Neurons are numbered
+    // along the gel, and Schwann cells lie along the nearest of the new axons
+    applyCellMarks(marks) {
+        const geometry = this.cellGeometry();
+        const of = kind => marks.filter(m => m.kind === kind);
+        if (of('neuron').length > 0) {
+            geometry.neurons = of('neuron').sort((a, b) => a.x - b.x).map(m => this.placeCell('neuron', m.x, m.y, geometry));
+        }
+        if (of('schwannCell').length > 0) {
+            geometry.schwannCells = of('schwannCell').map(m => this.placeCell('schwannCell', m.x, m.y, geometry));
+        }
+        this.cellTypes.filter(t => of(t.id).length > 0).forEach(t => {
+            geometry.others = geometry.others.filter(g => g.type !== t.id)
+                .concat(of(t.id).map(m => this.placeCell(t.id, m.x, m.y, geometry)));
+        });
+        this.applyCells(geometry);
+    }
+    
+    // Apply an edit from the cell type table; the response model must be one of
+    // the populations' models
+    editCellType(id, field, value) {
+        const type = this.cellTypeById(id);
+        if (!type) return;
+        switch (field) {
+            case 'name':
+                if (value.trim()) type.name = value.trim();
+                break;
+            case 'color':
+                type.color = value;
+                break;
+            case 'radius': {
+                const radius = parseFloat(value);
+                if (radius >= 1 && radius <= 30) type.radius = radius;
+                break;
+            }
+            case 'shape':
+                if (this.cellShapes[value]) type.shape = value;
+                break;
+            case 'responseModel':
+                if (this.responseModels[value]) type.responseModel = value;
+                break;
+            case 'description':
+                type.description = value;
+                break;
+        }
+    }
+    
+    addCellType() {
+        let n = this.cellTypes.length + 1;
+        while (this.cellTypeById('celltype' + n)) n++;
+        const id = 'celltype' + n;
+        this.cellTypes.push({
+            id, name: 'Cell type ' + n, color: '#b388ff', radius: 5, shape: 'round', responseModel: 'schwannCell',
+            description: 'User-defined cell population.'
+        });
+        return id;
+    }
+    
+    // Remove a cell type; any of its cells go too, which restarts the run
+    removeCellType(id) {
+        this.cellTypes = this.cellTypes.filter(t => t.id !== id);
+        if (this.otherCells.some(c => c.type === id)) this.applyCells(this.cellGeometry());
+    }
+    
+    // Playback speed only: the physics always advances in steps of physicsStep,
+    // so a run gives the same results at every compression and frame rate
+    setTimeCompression(factor) {
+        this.timeCompression = factor;
+    }
+    
+    clampFlowRate(rate) {
+        return Math.min(Math.max(rate, this.flowRateLimits.min), this.flowRateLimits.max);
+    }
+    
+    currentPhase() {
+        return this.protocol.phases[this.phaseIndex];
+    }
+    
+    // Total protocol length in minutes
+    protocolDuration() {
+        return this.protocol.phases.reduce((acc, phase) => acc + phase.duration, 0);
+    }
+    
+    // Highest inlet concentration of a species in the protocol, used to scale
+    // colours and metrics
+    referenceConcentration(id) {
+        let max = 0;
+        this.protocol.phases.forEach(phase => {
+            Object.values(phase.inlets).forEach(inlet => max = Math.max(max, inlet.concentrations[id] || 0));
+        });
+        return max > 0 ? max : this.drugConcentration;
+    }
+    
+    speciesById(id) {
+        return this.species.find(sp => sp.id === id);
+    }
+    
+    // Gel grid and channel fields for one species
+    createTransport(id) {
+        const dx = this.gridSize * this.umPerPx;
+        const gel = new DiffusionField(this.gridNx, this.gridNy, dx);
+        gel.setObstacles(this.gelOpen);
+        this.transport[id] = {
+            gel,
+            channels: {
+                top: new ChannelField(this.gridNx, dx),
+                bottom: new ChannelField(this.gridNx, dx)
+            },
+            neuronArrivalTime: null,
+            outletArrivalTimes: { top: null, bottom: null }
+        };
+    }
+    
+    // Gel and channel fields for every nutrient, full of medium as at seeding
+    createNutrientFields() {
+        const dx = this.gridSize * this.umPerPx;
+        this.nutrientFields = {};
+        this.nutrients.forEach(n => {
+            const gel = new DiffusionField(this.gridNx, this.gridNy, dx);
+            gel.setObstacles(this.gelOpen);
+            gel.values.fill(n.medium);
+            const channel = () => {
+                const field = new ChannelField(this.gridNx, dx);
+                field.values.fill(n.medium);
+                field.inlet = field.previousInlet = n.medium;
+                return field;
+            };
+            this.nutrientFields[n.id] = {
+                gel,
+                channels: { top: channel(), bottom: channel() },
+                uptake: new Float64Array(this.gridNx * this.gridNy)   // µM/s per grid cell at saturation
+            };
+        });
+    }
+    
+    // Free-solution diffusivity (µm²/s) from molecular weight (Da), Young et al. 1980
+    diffusivityFromMolecularWeight(mw) {
+        const viscosity = this.mediumViscosity * 1000; // cP
+        return 8.34e-8 * this.temperature / (viscosity * Math.cbrt(mw)) * 1e8;
+    }
+    
+    // Push the running phase's pump rate and inlet solutions into the channels
+    applyPhase() {
+        const phase = this.currentPhase();
+        ['top', 'bottom'].forEach(name => {
+            this.flowRates[name] = phase.inlets[name].flowRate;
+            this.species.forEach(sp => {
+                this.transport[sp.id].channels[name].setInlet(phase.inlets[name].concentrations[sp.id] || 0);
+            });
+        });
+        
+        // Transit timing restarts with every dosing phase
+        if (this.phaseHasDrug(phase)) {
+            this.drugStartTime = this.simulationTime;
+            this.species.forEach(sp => this.transport[sp.id].outletArrivalTimes = { top: null, bottom: null });
+        }
+        
+        // Clearance is measured against the drug present when washout begins
+        if (phase.type === 'washout') {
+            const gelPeaks = {};
+            const retainedPeaks = {};
+            this.species.forEach(sp => {
+                gelPeaks[sp.id] = this.transport[sp.id].gel.mean();
+                retainedPeaks[sp.id] = this.maxRetained(sp.id);
+            });
+            this.washoutState = {
+                startTime: this.simulationTime,
+                gelPeaks,
+                retainedPeaks,
+                lastResidual: 1,
+                lastTime: this.simulationTime,
+                rate: 0,
+                clearedTime: null
+            };
+        } else {
+            this.washoutState = null;
+        }
+    }
+    
+    phaseHasDrug(phase) {
+        return Object.values(phase.inlets).some(inlet =>
+            Object.values(inlet.concentrations).some(c => c > 0));
+    }
+    
+    // Start a phase now, regardless of how long the current one has run
+    jumpToPhase(index) {
+        this.discardFuture();
+        this.phaseIndex = index;
+        this.phaseStartTime = this.simulationTime;
+        this.protocolComplete = false;
+        this.applyPhase();
+        this.markPhase();
+    }
+    
+    // Move on to the next phase once the current one has run its duration
+    advanceProtocol() {
+        const phases = this.protocol.phases;
+        while (this.simulationTime - this.phaseStartTime >= this.currentPhase().duration * 60) {
+            if (this.phaseIndex >= phases.length - 1) {
+                // The last phase holds once the protocol is complete
+                this.protocolComplete = true;
+                return;
+            }
+            this.phaseStartTime += this.currentPhase().duration * 60;
+            this.phaseIndex++;
+            this.applyPhase();
+            this.markPhase();
+        }
+    }
+    
+    // Apply an edit to one field of a phase (the protocol table's field keys)
+    editPhase(index, field, value) {
+        const phase = this.protocol.phases[index];
+        const [key, sub, id] = field.split('.');
+        
+        if (sub) {
+            if (sub === 'conc') {
+                const concentration = parseFloat(value);
+                if (concentration > 0) phase.inlets[key].concentrations[id] = concentration;
+                else if (concentration === 0) delete phase.inlets[key].concentrations[id];
+            } else if (sub === 'flowRate') {
+                const rate = parseFloat(value);
+                if (rate >= 0) phase.inlets[key].flowRate = this.clampFlowRate(rate);
+            }
+        } else if (key === 'duration') {
+            const duration = parseFloat(value);
+            if (duration > 0) phase.duration = duration;
+        } else if (key === 'type') {
+            phase.type = value;
+            // Medium and washout phases perfuse fresh medium
+            Object.values(phase.inlets).forEach(inlet => {
+                if (value !== 'drug') {
+                    inlet.concentrations = {};
+                } else if (!Object.values(inlet.concentrations).some(c => c > 0)) {
+                    inlet.concentrations = this.defaultDrugSolution();
+                }
+            });
+        } else {
+            phase.name = value.trim() || phase.name;
+        }
+        
+        if (index === this.phaseIndex) this.applyPhase();
+    }
+    
+    // Structural edits: reorder, duplicate, remove and add phases
+    protocolAction(action, index) {
+        const phases = this.protocol.phases;
+        const running = phases[this.phaseIndex];
+        
+        switch (action) {
+            case 'up':
+                if (index > 0) phases.splice(index - 1, 0, phases.splice(index, 1)[0]);
+                break;
+            case 'down':
+                if (index < phases.length - 1) phases.splice(index + 1, 0, phases.splice(index, 1)[0]);
+                break;
+            case 'duplicate':
+                phases.splice(index + 1, 0, JSON.parse(JSON.stringify(phases[index])));
+                break;
+            case 'remove':
+                if (phases.length > 1) phases.splice(index, 1);
+                break;
+            case 'add': {
+                const type = index;
+                const solution = () => type === 'drug' ? this.defaultDrugSolution() : {};
+                phases.push({
+                    name: this.phaseTypes[type].label, type, duration: 10,
+                    inlets: {
+                        top: { flowRate: this.flowRates.top, concentrations: solution() },
+                        bottom: { flowRate: this.flowRates.bottom, concentrations: solution() }
+                    }
+                });
+                break;
+            }
+        }
+        
+        // Keep running the same phase if it still exists
+        const found = phases.indexOf(running);
+        if (found >= 0) {
+            this.phaseIndex = found;
+        } else {
+            this.phaseIndex = Math.min(this.phaseIndex, phases.length - 1);
+            this.applyPhase();
+        }
+    }
+    
+    // New drug phases perfuse the first active (non-tracer) species
+    defaultDrugSolution() {
+        const active = this.species.find(sp => sp.effect !== 'none') || this.species[0];
+        return { [active.id]: this.drugConcentration };
+    }
+    
+    // Apply an edit to one property of a species
+    editSpecies(id, field, value) {
+        const sp = this.speciesById(id);
+        switch (field) {
+            case 'name':
+                sp.name = value.trim() || sp.name;
+                break;
+            case 'color':
+                sp.color = value;
+                break;
+            case 'molecularWeight': {
+                // A new molecular weight re-estimates the diffusivity
+                const mw = parseFloat(value);
+                if (mw > 0) {
+                    sp.molecularWeight = mw;
+                    sp.diffusivity = Math.round(this.diffusivityFromMolecularWeight(mw));
+                }
+                break;
+            }
+            case 'diffusivity': {
+                const d = parseFloat(value);
+                if (d > 0) sp.diffusivity = Math.min(d, 10000);
+                break;
+            }
+            case 'effect':
+                sp.effect = value;
+                break;
+            case 'potency': {
+                const potency = parseFloat(value);
+                if (potency >= 0) sp.potency = potency;
+                break;
+            }
+        }
+    }
+    
+    addSpecies() {
+        let n = this.species.length + 1;
+        while (this.speciesById('compound' + n)) n++;
+        const id = 'compound' + n;
+        const mw = 500;
+        this.species.push({
+            id, name: 'Compound ' + n, color: '#ffaa33', molecularWeight: mw,
+            diffusivity: Math.round(this.diffusivityFromMolecularWeight(mw)), effect: 'additive', potency: 1
+        });
+        this.createTransport(id);
+        this.forEachExposed(cell => cell.exposure[id] = this.emptySpeciesExposure());
+        return id;
+    }
+    
+    removeSpecies(id) {
+        if (this.species.length === 1) return;
+        this.species = this.species.filter(sp => sp.id !== id);
+        delete this.transport[id];
+        this.protocol.phases.forEach(phase => {
+            Object.values(phase.inlets).forEach(inlet => delete inlet.concentrations[id]);
+        });
+        this.forEachExposed(cell => delete cell.exposure[id]);
+        this.drugParticles = this.drugParticles.filter(p => p.species !== id);
+        if (this.displaySpecies === id) this.displaySpecies = this.species[0].id;
+    }
+    
+    // Back to t = 0 with the current scenario: fresh fields, exposure, history and snapshots
+    reset() {
+        this.simulationTime = 0;
+        this.drugStartTime = null;
+        this.washoutState = null;
+        this.rng = new SeededRandom(this.seed + 1);
+        this.ephysRng = new SeededRandom(this.seed + 2);
+        this.recording = null;
+        this.nextRecordingTime = 0;
+        this.createFlowParticles();
+        this.drugParticles = [];
+        this.diffusionParticles = [];
+        this.species.forEach(sp => this.createTransport(sp.id));
+        this.createNutrientFields();
+        this.history = [];
+        this.historyStride = 1;
+        this.stepCount = 0;
+        this.snapshots = [];
+        this.snapshotSteps = this.snapshotEvery;
+        this.stepsSinceSnapshot = 0;
+        this.phaseIndex = 0;
+        this.phaseStartTime = 0;
+        this.protocolComplete = false;
+        this.applyPhase();
+        this.axons.forEach(axon => this.resetAxon(axon));
+        this.forEachExposed(cell => Object.assign(cell, this.emptyExposure()));
+        this.respiringCells().forEach(cell => cell.viability = 1);
+        this.markPhase();
+    }
+    
+    // Advance the run by dt seconds of experiment time
+    update(dt) {
+        if (this.isRecording()) this.discardFuture();
+        this.simulationTime += dt;
+        this.advanceProtocol();
+        
+        const L = this.layout;
+        const velocity = {
+            top: this.meanVelocity('top') / this.umPerPx,
+            bottom: this.meanVelocity('bottom') / this.umPerPx
+        };
+        
+        // Flow particles follow the local streamline speed and wrap back to the inlet
+        this.flowParticles.forEach(p => {
+            p.x += this.profileFactor(p) * velocity[p.channel] * dt;
+            if (p.x > L.channelEndX - 10) {
+                p.x = L.channelStartX + 10 + (p.x - L.channelStartX - 10) % (L.channelEndX - L.channelStartX - 20);
+            }
+        });
+        
+        // Each channel carries whatever the running phase feeds its own inlet
+        ['top', 'bottom'].forEach(name => {
+            this.species.forEach(sp => {
+                const t = this.transport[sp.id];
+                const channel = t.channels[name];
+                channel.step(dt, this.meanVelocity(name), this.dispersionCoefficient(name, sp));
+                
+                if (channel.inlet > 0) {
+                    if (channel.frontPosition() >= 1 && t.outletArrivalTimes[name] === null) {
+                        t.outletArrivalTimes[name] = this.simulationTime - this.drugStartTime;
+                    }
+                    
+                    // Generate particles of this species at this inlet
+                    const share = Math.min(1, channel.inlet / this.referenceConcentration(sp.id));
+                    if (this.random() < 0.175 * share && this.drugParticles.length < 50) {
+                        const top = name === 'top' ? L.topChannelY : L.bottomChannelY;
+                        this.drugParticles.push({
+                            x: L.channelStartX + 5,
+                            y: top + 5 + this.random() * (L.channelHeight - 10),
+                            size: 3.5,
+                            channel: name,
+                            species: sp.id
+                        });
+                    }
+                }
+            });
+        });
+        
+        // Update drug particles
+        this.drugParticles.forEach(p => {
+            p.x += this.profileFactor(p) * velocity[p.channel] * dt;
+        });
+        this.drugParticles = this.drugParticles.filter(p => p.x < L.channelEndX - 5);
+        
+        // Diffusion into the hydrogel
+        this.updateDiffusion(dt);
+        this.updateNutrients(dt);
+        
+        // Diffusion particles random-walk with the displayed species' diffusivity
+        const sigma = Math.sqrt(2 * this.speciesById(this.displaySpecies).diffusivity * dt) / this.umPerPx;
+        this.diffusionParticles.forEach(p => {
+            p.x += this.gaussian() * sigma;
+            p.y += this.gaussian() * sigma;
+            // Reflect at the gel boundaries
+            if (p.x < L.channelStartX) p.x = 2 * L.channelStartX - p.x;
+            if (p.x > L.channelEndX) p.x = 2 * L.channelEndX - p.x;
+            if (p.y < L.hydrogelY) p.y = 2 * L.hydrogelY - p.y;
+            if (p.y > L.hydrogelY + L.hydrogelHeight) p.y = 2 * (L.hydrogelY + L.hydrogelHeight) - p.y;
+        });
+        
+        // Cells integrate the concentration they actually see
+        this.updateCellResponses(dt);
+        this.updateViability(dt);
+        this.updateAxons(dt);
+        this.updateWashout();
+        if (this.simulationTime >= this.nextRecordingTime) this.recordElectrophysiology();
+        
+        if (this.isRecording()) {
+            this.recordHistory();
+            if (++this.stepsSinceSnapshot >= this.snapshotSteps) this.takeSnapshot('interval');
+        } else if (this.seeking) {
+            // Re-run steps are already in the history; keep the sampling cadence
+            this.stepCount++;
+        }
+    }
+    
+    // Fresh exposure state for a cell or axon segment
+    emptyExposure() {
+        const exposure = {};
+        this.species.forEach(sp => exposure[sp.id] = this.emptySpeciesExposure());
+        return { exposure, dose: 0, protection: 0, drugExposure: 0, response: 'healthy' };
+    }
+    
+    emptySpeciesExposure() {
+        return { concentration: 0, retained: 0, auc: 0 };
+    }
+    
+    // Every object carrying exposure state: cells, axons and axon segments
+    forEachExposed(fn) {
+        this.motorNeurons.forEach(fn);
+        this.schwannCells.forEach(fn);
+        this.otherCells.forEach(fn);
+        this.axons.forEach(a => {
+            fn(a);
+            a.segments.forEach(fn);
+        });
+    }
+    
+    // Integrate local exposure (AUC, µM·min) and map it to a response for every cell
+    updateCellResponses(dt) {
+        const minutes = dt / 60;
+        this.motorNeurons.forEach(n => this.exposeCell(n, n.x, n.y, 'neuron', minutes));
+        this.schwannCells.forEach(s => this.exposeCell(s, s.x, s.y, 'schwannCell', minutes));
+        this.otherCells.forEach(c => this.exposeCell(c, c.x, c.y, this.cellTypeById(c.type).responseModel, minutes));
+        
+        // Axons summarise their segments; the response follows the mean effect
+        this.axons.forEach(axon => {
+            axon.segments.forEach(seg => this.exposeCell(seg, seg.x, seg.y, 'axon', minutes));
+            const n = axon.segments.length;
+            this.species.forEach(sp => {
+                const summary = axon.exposure[sp.id];
+                summary.concentration = axon.segments.reduce((acc, seg) => acc + seg.exposure[sp.id].concentration, 0) / n;
+                summary.retained = axon.segments.reduce((acc, seg) => acc + seg.exposure[sp.id].retained, 0) / n;
+                summary.auc = axon.segments.reduce((acc, seg) => acc + seg.exposure[sp.id].auc, 0) / n;
+            });
+            axon.dose = axon.segments.reduce((acc, seg) => acc + seg.dose, 0) / n;
+            axon.protection = axon.segments.reduce((acc, seg) => acc + seg.protection, 0) / n;
+            axon.drugExposure = axon.segments.reduce((acc, seg) => acc + seg.drugExposure, 0) / n;
+            axon.response = this.classifyResponse(axon.drugExposure);
+        });
+    }
+    
+    // The AUC integrates the drug retained by the cell, not the medium around it.
+    // Additive species sum into one dose (dose addition); antagonistic species
+    // scale the resulting effect down by their own Hill protection
+    exposeCell(cell, x, y, type, minutes) {
+        const model = this.responseModels[type];
+        const decay = Math.exp(-Math.LN2 / model.halfLife * minutes);
+        let dose = 0;
+        let protectiveDose = 0;
+        
+        this.species.forEach(sp => {
+            const e = cell.exposure[sp.id];
+            e.concentration = this.concentrationAt(sp.id, x, y);
+            
+            // One-compartment uptake and clearance, integrated exactly over the step
+            const equilibrium = model.partition * e.concentration;
+            const retained = equilibrium + (e.retained - equilibrium) * decay;
+            e.auc += (e.retained + retained) / 2 * minutes;
+            e.retained = retained;
+            
+            if (sp.effect === 'additive') dose += sp.potency * e.auc;
+            else if (sp.effect === 'antagonistic') protectiveDose += sp.potency * e.auc;
+        });
+        
+        cell.dose = dose;
+        cell.protection = Math.min(1, this.doseResponse(protectiveDose, model));
+        cell.drugExposure = this.doseResponse(dose, model) * (1 - cell.protection);
+        cell.response = this.classifyResponse(cell.drugExposure);
+    }
+    
+    // Highest level of a species retained by any cell or axon segment (µM)
+    maxRetained(id) {
+        let max = 0;
+        this.motorNeurons.forEach(n => max = Math.max(max, n.exposure[id].retained));
+        this.schwannCells.forEach(s => max = Math.max(max, s.exposure[id].retained));
+        this.otherCells.forEach(c => max = Math.max(max, c.exposure[id].retained));
+        this.axons.forEach(a => a.segments.forEach(seg => max = Math.max(max, seg.exposure[id].retained)));
+        return max;
+    }
+    
+    // Slowest-clearing pool: the largest gel or cell residual, relative to its
+    // level when washout began, over all species
+    washoutResidual() {
+        const state = this.washoutState;
+        let gel = 0;
+        let retained = 0;
+        this.species.forEach(sp => {
+            if (state.gelPeaks[sp.id] > 0) {
+                gel = Math.max(gel, this.transport[sp.id].gel.mean() / state.gelPeaks[sp.id]);
+            }
+            if (state.retainedPeaks[sp.id] > 0) {
+                retained = Math.max(retained, this.maxRetained(sp.id) / state.retainedPeaks[sp.id]);
+            }
+        });
+        return { gel, retained, worst: Math.max(gel, retained) };
+    }
+    
+    // Track how fast the gel clears and estimate when it reaches the target residual
+    updateWashout() {
+        const state = this.washoutState;
+        if (!state) return;
+        
+        const residual = this.washoutResidual();
+        const elapsed = this.simulationTime - state.lastTime;
+        // Log-slope of the slowest pool, smoothed over a few seconds
+        if (elapsed >= 1 && residual.worst > 0 && state.lastResidual > 0) {
+            const rate = Math.log(state.lastResidual / residual.worst) / elapsed;
+            state.rate = state.rate > 0 ? state.rate * 0.8 + rate * 0.2 : rate;
+            state.lastResidual = residual.worst;
+            state.lastTime = this.simulationTime;
+        }
+        
+        if (state.clearedTime === null && residual.worst <= this.clearanceTarget) {
+            state.clearedTime = this.simulationTime - state.startTime;
+        }
+    }
+    
+    // Hill/Emax dose-response: E = Emax * AUC^n / (EC50^n + AUC^n)
+    doseResponse(auc, model) {
+        if (auc <= 0) return 0;
+        const ratio = Math.pow(auc / model.ec50, model.hill);
+        return model.emax * ratio / (1 + ratio);
+    }
+    
+    classifyResponse(effect) {
+        if (effect >= this.responseThresholds.degenerating) return 'degenerating';
+        if (effect >= this.responseThresholds.stressed) return 'stressed';
+        return 'healthy';
+    }
+    
+    // Grow, retract, degenerate and (de)myelinate every axon over one step. Damage
+    // is irreversible; a beaded tip has lost its growth cone and neither grows nor
+    // retracts
+    updateAxons(dt) {
+        const p = this.axonDynamics;
+        const hours = dt / 3600;
+        this.axons.forEach((axon, i) => {
+            let cut = false;
+            axon.segments.forEach((seg, k) => {
+                const excess = (seg.drugExposure - p.degenerationThreshold) / (1 - p.degenerationThreshold);
+                const rate = Math.max(excess > 0 ? p.degenerationRate * excess : 0, cut ? p.wallerianRate : 0);
+                seg.integrity = Math.max(0, seg.integrity - rate * hours);
+                if (seg.integrity === 0) cut = true;
+                
+                const cell = axon.sheaths[k] === null ? null : this.schwannCells[axon.sheaths[k]];
+                const formation = cell ? p.myelinationRate * (1 - cell.drugExposure) * (1 - seg.myelin) : 0;
+                const loss = p.strippingRate * this.speciesSignal(seg, 'demyelinating', p.stripK50) +
+                    (cell ? p.myelinLossRate * cell.drugExposure : 0);
+                seg.myelin = Math.min(seg.integrity, Math.max(0, seg.myelin + (formation - loss * seg.myelin) * hours));
+            });
+            
+            const tip = axon.segments[axon.segments.length - 1];
+            if (this.axonSegmentState(tip) !== 'intact') return;
+            if (tip.drugExposure >= this.responseThresholds.stressed) {
+                axon.length = Math.max(0, axon.length - p.retractionRate * hours);
+            } else {
+                const neuron = this.motorNeurons[i];
+                const speed = p.growthRate * (1 - neuron.drugExposure) * neuron.viability * (1 - tip.drugExposure) *
+                    (1 + p.trophicBoost * this.speciesSignal(tip, 'trophic', p.trophicK50));
+                axon.length = Math.min(axon.trackLength, axon.length + speed * hours);
+            }
+            this.fitAxonSegments(axon);
+        });
+    }
+    
+    // Saturation (0–1) of the potency-weighted level (µM) of the species with one
+    // effect retained by a segment, half-maximal at k50
+    speciesSignal(seg, effect, k50) {
+        const level = this.species.reduce((acc, sp) =>
+            sp.effect === effect ? acc + sp.potency * seg.exposure[sp.id].retained : acc, 0);
+        return level / (level + k50);
+    }
+    
+    axonSegmentState(seg) {
+        if (seg.integrity <= 0) return 'fragmented';
+        if (seg.integrity < this.axonDynamics.beadingIntegrity) return 'beaded';
+        return 'intact';
+    }
+    
+    // Grown length (µm), the part of it still joined to the soma through intact
+    // segments, the length-weighted mean integrity, and the mean myelin of the
+    // grown ensheathed segments (null when none are)
+    axonMetrics(axon) {
+        const step = this.axonDynamics.segmentLength;
+        let connected = 0;
+        let integrity = 0;
+        let myelin = 0;
+        let sheathed = 0;
+        let joined = true;
+        axon.segments.forEach((seg, k) => {
+            const length = Math.max(0, Math.min(step, axon.length - k * step));
+            joined = joined && this.axonSegmentState(seg) === 'intact';
+            if (joined) connected += length;
+            integrity += seg.integrity * length;
+            if (axon.sheaths[k] !== null) {
+                myelin += seg.myelin;
+                sheathed++;
+            }
+        });
+        return {
+            length: axon.length,
+            connected,
+            integrity: axon.length > 0 ? integrity / axon.length : axon.segments[0].integrity,
+            myelin: sheathed > 0 ? myelin / sheathed : null
+        };
+    }
+    
+    // Mean axon metrics over the population; myelin over the ensheathed axons
+    meanAxonMetrics() {
+        const all = this.axons.map(axon => this.axonMetrics(axon));
+        const mean = (key, list = all) => list.length > 0 ? list.reduce((acc, m) => acc + m[key], 0) / list.length : 0;
+        const sheathed = all.filter(m => m.myelin !== null);
+        return {
+            length: mean('length'),
+            connected: mean('connected'),
+            integrity: mean('integrity'),
+            myelin: sheathed.length > 0 ? mean('myelin', sheathed) : null
+        };
+    }
+    
+    // Mean myelin of a Schwann cell's grown internode (null when it ensheathes none)
+    schwannMyelin(cell) {
+        const axon = this.axons.find(a => a.id === cell.axon);
+        if (!axon) return null;
+        const own = axon.segments.filter((seg, k) => this.schwannCells[axon.sheaths[k]] === cell);
+        return own.length > 0 ? own.reduce((acc, seg) => acc + seg.myelin, 0) / own.length : null;
+    }
+    
+    // Clamp edited axon parameters to their ranges. The segment length and the
+    // starting length and myelin reshape the axons, so changing them restarts the run
+    applyAxonDynamics(changes) {
+        const p = { ...this.axonDynamics, ...changes };
+        Object.entries(this.axonDynamicsLimits).forEach(([key, limit]) => {
+            if (!Number.isFinite(p[key])) p[key] = this.axonDynamics[key];
+            const value = parseFloat((Math.round(p[key] / limit.step) * limit.step).toPrecision(6));
+            p[key] = Math.min(Math.max(value, limit.min), limit.max);
+        });
+        const reshape = ['segmentLength', 'startLength', 'startMyelin'].some(key => p[key] !== this.axonDynamics[key]);
+        this.axonDynamics = p;
+        if (reshape) {
+            this.buildCells(this.cellGeometry());
+            this.reset();
+        }
+    }
+    
+    // Axon centreline at its grown segments' boundaries (px), ending at the tip:
+    // segment k runs from point k to point k + 1
+    axonPath(axon) {
+        return [...axon.track.slice(0, axon.segments.length), this.trackPoint(axon, axon.length)];
+    }
+    
+    // Simulate one electrophysiology window on the current exposure: every neuron's
+    // spike times (ms), and the conduction delay (ms) from its soma to each point
+    // of its axon path (null beyond a block). Summarised as the spontaneous rate (Hz),
+    // the fraction of axons carrying the evoked volley to their far end (CAP
+    // amplitude) and their mean conduction velocity (m/s)
+    recordElectrophysiology() {
+        const p = this.electrophysiology;
+        const rng = this.ephysRng;
+        const gaussian = () => Math.sqrt(-2 * Math.log(1 - rng.next())) * Math.cos(2 * Math.PI * rng.next());
+        const steps = Math.round(p.window / p.dt);
+        const stimulusStep = Math.round(p.stimulus / p.dt);
+        
+        // The stimulus fires the axon whatever the state of the soma
+        const neurons = this.motorNeurons.map(neuron => {
+            const scale = (1 - neuron.drugExposure) * neuron.viability;
+            const spikes = [];
+            let v = p.c;
+            let u = p.b * p.c;
+            for (let i = 0; i < steps; i++) {
+                const current = scale * (p.drive + p.noise * gaussian());
+                if (i === stimulusStep) {
+                    v = 30;
+                } else {
+                    // Two half steps for v keep the quadratic term stable
+                    v += p.dt / 2 * (0.04 * v * v + 5 * v + 140 - u + current);
+                    v += p.dt / 2 * (0.04 * v * v + 5 * v + 140 - u + current);
+                    u += p.dt * p.a * (p.b * v - u);
+                }
+                if (v >= 30) {
+                    spikes.push(i * p.dt);
+                    v = p.c;
+                    u += p.d;
+                }
+            }
+            return spikes;
+        });
+        
+        const axons = this.axons.map(axon => {
+            const path = this.axonPath(axon);
+            const delays = [0];
+            axon.segments.forEach((seg, k) => {
+                if (delays[k] === null || this.axonSegmentState(seg) !== 'intact') {
+                    delays.push(null);
+                    return;
+                }
+                const length = Math.hypot(path[k + 1].x - path[k].x, path[k + 1].y - path[k].y) * this.umPerPx;
+                const velocity = p.velocity * (1 - p.slowing * seg.drugExposure) * (1 + p.myelinGain * seg.myelin);
+                delays.push(delays[k] + length / (velocity * 1000));
+            });
+            const length = path.reduce((acc, pt, k) => k === 0 ? 0 : acc + Math.hypot(pt.x - path[k - 1].x, pt.y - path[k - 1].y), 0) * this.umPerPx;
+            return { delays, length };
+        });
+        
+        const spontaneous = neurons.reduce((acc, spikes) => acc + spikes.length - 1, 0);
+        const conducting = axons.filter(a => a.delays[a.delays.length - 1] !== null);
+        this.recording = {
+            time: this.simulationTime,
+            spikes: neurons,
+            axons: axons.map(a => a.delays),
+            rate: neurons.length > 0 ? spontaneous / neurons.length / (p.window / 1000) : 0,
+            cap: axons.length > 0 ? conducting.length / axons.length : 0,
+            velocity: conducting.length > 0
+                ? conducting.reduce((acc, a) => acc + a.length / a.delays[a.delays.length - 1] / 1000, 0) / conducting.length
+                : null
+        };
+        this.nextRecordingTime = this.simulationTime + p.interval;
+    }
+    
+    // Voltage trace (µV) of one MEA electrode over a recorded window: the spikes it
+    // picks up from nearby somata and from the nearest point of each axon, the
+    // stimulus artefact, and noise seeded by electrode and window so a trace always
+    // redraws the same
+    electrodeTrace(index, recording = this.recording) {
+        const p = this.electrophysiology;
+        const mea = this.mea;
+        const electrode = this.layout.electrodes[index];
+        const n = Math.round(p.window * mea.sampleRate);
+        const trace = new Float32Array(n);
+        const coupling = d => 1 / (1 + (d / mea.falloff) * (d / mea.falloff));
+        
+        // Fast negative trough and slower positive rebound, times in ms
+        const addSpike = (t, amplitude) => {
+            const i0 = Math.max(0, Math.floor((t - 0.5) * mea.sampleRate));
+            const i1 = Math.min(n - 1, Math.ceil((t + 1.5) * mea.sampleRate));
+            for (let i = i0; i <= i1; i++) {
+                const tau = i / mea.sampleRate - t;
+                trace[i] += amplitude * (-Math.exp(-(tau / 0.15) * (tau / 0.15)) + 0.35 * Math.exp(-((tau - 0.4) / 0.3) * ((tau - 0.4) / 0.3)));
+            }
+        };
+        
+        this.motorNeurons.forEach((neuron, i) => {
+            const soma = mea.somaAmplitude * coupling(Math.hypot(neuron.x - electrode.x, neuron.y - electrode.y) * this.umPerPx);
+            
+            // Nearest point of the axon path, and the conduction delay to it
+            const path = this.axonPath(this.axons[i]);
+            const delays = recording.axons[i];
+            let nearest = { d: Infinity, delay: null };
+            // The axon may have grown or retracted since the window was recorded
+            for (let k = 0; k < Math.min(path.length, delays.length) - 1; k++) {
+                const ax = path[k + 1].x - path[k].x;
+                const ay = path[k + 1].y - path[k].y;
+                const f = Math.min(1, Math.max(0, ((electrode.x - path[k].x) * ax + (electrode.y - path[k].y) * ay) / (ax * ax + ay * ay)));
+                const d = Math.hypot(path[k].x + f * ax - electrode.x, path[k].y + f * ay - electrode.y) * this.umPerPx;
+                if (d < nearest.d) {
+                    const delay = delays[k] !== null && delays[k + 1] !== null ? delays[k] + f * (delays[k + 1] - delays[k]) : null;
+                    nearest = { d, delay };
+                }
+            }
+            const axon = mea.axonAmplitude * coupling(nearest.d);
+            
+            recording.spikes[i].forEach(t => {
+                if (soma > 0.5) addSpike(t, soma);
+                if (nearest.delay !== null && axon > 0.5) addSpike(t + nearest.delay, axon);
+            });
+        });
+        
+        // Biphasic stimulus artefact, then noise
+        const s0 = Math.round(p.stimulus * mea.sampleRate);
+        for (let i = s0; i < Math.min(n, s0 + 2); i++) trace[i] += i === s0 ? 250 : -250;
+        const rng = new SeededRandom(this.seed * 7919 + index * 104729 + Math.round(recording.time * 1000));
+        for (let i = 0; i < n; i++) {
+            trace[i] += mea.noise * Math.sqrt(-2 * Math.log(1 - rng.next())) * Math.cos(2 * Math.PI * rng.next());
+        }
+        return trace;
+    }
+    
+    // Channel cross-section in µm (width in the drawing plane, depth out of it)
+    channelGeometry() {
+        return {
+            width: this.geometry.channelWidth,
+            depth: this.geometry.channelDepth,
+            length: this.geometry.channelLength
+        };
+    }
+    
+    // Mean flow velocity (µm/s) in a channel from its pump rate and cross-section
+    meanVelocity(channel) {
+        const g = this.channelGeometry();
+        const flow = this.flowRates[channel] * 1e9 / 60; // µm³/s
+        return flow / (g.width * g.depth);
+    }
+    
+    // Reynolds and Péclet numbers for the flow in a channel (Péclet for one species)
+    flowNumbers(channel, sp = this.speciesById(this.displaySpecies)) {
+        const g = this.channelGeometry();
+        const u = this.meanVelocity(channel);
+        const hydraulicDiameter = 2 * g.width * g.depth / (g.width + g.depth);
+        return {
+            reynolds: this.mediumDensity * (u * 1e-6) * (hydraulicDiameter * 1e-6) / this.mediumViscosity,
+            peclet: u * g.width / sp.diffusivity
+        };
+    }
+    
+    // Taylor-Aris dispersion coefficient (µm²/s) for flow between parallel walls
+    dispersionCoefficient(channel, sp = this.speciesById(this.displaySpecies)) {
+        const pe = this.flowNumbers(channel, sp).peclet;
+        return sp.diffusivity * (1 + pe * pe / 210);
+    }
+    
+    // Poiseuille velocity relative to the mean at a particle's cross-channel position
+    profileFactor(p) {
+        const L = this.layout;
+        const top = p.channel === 'bottom' ? L.bottomChannelY : L.topChannelY;
+        const eta = (p.y - top) / L.channelHeight - 0.5;
+        return Math.max(0, 1.5 * (1 - 4 * eta * eta));
+    }
+    
+    // Concentration (µM) of a species in a medium channel at canvas x
+    channelConcentrationAt(id, channel, x) {
+        const L = this.layout;
+        return this.transport[id].channels[channel].sample((x - L.channelStartX) / this.gridSize);
+    }
+    
+    // Advance every species' hydrogel field, driven by its channel concentrations
+    updateDiffusion(dt) {
+        this.species.forEach(sp => {
+            const t = this.transport[sp.id];
+            t.gel.step(dt, sp.diffusivity, t.channels.top.values, t.channels.bottom.values);
+            
+            // Record when the neuron row first reaches half the inlet concentration
+            const reference = this.referenceConcentration(sp.id);
+            if (t.neuronArrivalTime === null && this.neuronRowConcentration(sp.id) >= 0.5 * reference) {
+                t.neuronArrivalTime = this.simulationTime;
+            }
+        });
+    }
+    
+    // Local gel concentration (µM) of a species at a canvas position
+    concentrationAt(id, x, y) {
+        const L = this.layout;
+        return this.transport[id].gel.sample((x - L.channelStartX) / this.gridSize, (y - L.hydrogelY) / this.gridSize);
+    }
+    
+    // Mean gel concentration (µM) of a species at the motor neuron cell bodies
+    neuronRowConcentration(id) {
+        if (this.motorNeurons.length === 0) return 0;
+        const sum = this.motorNeurons.reduce((acc, n) => acc + this.concentrationAt(id, n.x, n.y), 0);
+        return sum / this.motorNeurons.length;
+    }
+    
+    // Cells that take up nutrients and can starve: neurons, Schwann cells and the
+    // other placed cells (axons draw on their soma)
+    respiringCells() {
+        return [...this.motorNeurons, ...this.schwannCells, ...this.otherCells];
+    }
+    
+    // Local gel level (µM) of a nutrient at a canvas position
+    nutrientAt(id, x, y) {
+        const L = this.layout;
+        return this.nutrientFields[id].gel.sample((x - L.channelStartX) / this.gridSize, (y - L.hydrogelY) / this.gridSize);
+    }
+    
+    // Gel grid cell holding a canvas position
+    gridIndexAt(x, y) {
+        const L = this.layout;
+        const i = Math.min(this.gridNx - 1, Math.max(0, Math.floor((x - L.channelStartX) / this.gridSize)));
+        const j = Math.min(this.gridNy - 1, Math.max(0, Math.floor((y - L.hydrogelY) / this.gridSize)));
+        return j * this.gridNx + i;
+    }
+    
+    // Advance every nutrient. The channels carry medium downstream and give up
+    // what diffuses into the gel, so a stopped pump leaves them to be drained;
+    // the gel diffuses, then each grid cell loses what its cells take up
+    // (implicit in time, so levels stay positive at any step). Channel and gel
+    // take turns, so each turn is short enough to move at most a fifth of the
+    // difference between them
+    updateNutrients(dt) {
+        const dx = this.gridSize * this.umPerPx;
+        const nx = this.gridNx;
+        const cellVolume = dx * dx * this.geometry.channelDepth; // µm³ of gel per grid cell
+        this.nutrients.forEach(n => {
+            const { gel, channels, uptake } = this.nutrientFields[n.id];
+            // amol/s per µm³ is 1e3 µM/s
+            uptake.fill(this.nutrientDynamics.gelCellDensity * 1e-9 * n.vmax * 1e3);
+            this.respiringCells().forEach(cell => {
+                uptake[this.gridIndexAt(cell.x, cell.y)] += cell.viability * n.vmax * 1e3 / cellVolume;
+            });
+            const exchange = 2 * n.diffusivity / (dx * this.geometry.channelWidth);  // 1/s through open gel
+            const substeps = Math.max(1, Math.ceil(exchange * dt / 0.2));
+            const h = dt / substeps;
+            
+            for (let s = 0; s < substeps; s++) {
+                ['top', 'bottom'].forEach(name => {
+                    const channel = channels[name];
+                    channel.setInlet(n.medium);
+                    channel.step(h, this.meanVelocity(name), this.dispersionCoefficient(name, n));
+                    
+                    // Exchange with the gel edge row through the open interface
+                    const row = name === 'top' ? 0 : (gel.ny - 1) * nx;
+                    for (let i = 0; i < nx; i++) {
+                        const edge = gel.values[row + i];
+                        channel.values[i] = edge + (channel.values[i] - edge) * Math.exp(-exchange * gel.open[row + i] * h);
+                    }
+                });
+                gel.step(h, n.diffusivity, channels.top.values, channels.bottom.values);
+                for (let k = 0; k < uptake.length; k++) {
+                    gel.values[k] /= 1 + h * uptake[k] / (n.km + gel.values[k]);
+                }
+            }
+        });
+    }
+    
+    // Starving cells lose viability at up to the death rate, scaled by how far
+    // their scarcest nutrient is below threshold. Lost viability counts toward
+    // the response like drug effect
+    updateViability(dt) {
+        const hours = dt / 3600;
+        this.respiringCells().forEach(cell => {
+            const deficit = Math.max(0, ...this.nutrients.map(n => 1 - this.nutrientAt(n.id, cell.x, cell.y) / n.threshold));
+            cell.viability = Math.max(0, cell.viability - this.nutrientDynamics.deathRate * deficit * hours);
+            cell.response = this.classifyResponse(Math.max(cell.drugExposure, 1 - cell.viability));
+        });
+    }
+    
+    // Mean viability of the placed cells (null when there are none)
+    meanViability() {
+        const cells = this.respiringCells();
+        return cells.length === 0 ? null : cells.reduce((acc, c) => acc + c.viability, 0) / cells.length;
+    }
+    
+    // Uptake (µM/s) of a nutrient at the medium level, averaged over the gel: the
+    // gel culture plus the living placed cells
+    nutrientDemand(n) {
+        const gelVolume = this.gelArea() * 1e6 * this.geometry.channelDepth; // µm³
+        const living = this.respiringCells().reduce((acc, c) => acc + c.viability, 0);
+        const saturation = n.medium / (n.km + n.medium);
+        return (this.nutrientDynamics.gelCellDensity * 1e-9 + living / gelVolume) * n.vmax * 1e3 * saturation;
+    }
+    
+    // Starvation checks for every phase of the protocol, from the uptake at the
+    // medium level (which overstates uptake as levels fall) and the level the
+    // slower pump still delivers at the channel outlets: where both pumps run, the
+    // steady level in the centre of the gel; where both stop, how long the medium
+    // in the chip lasts; where one stops, the steady level at the far side of the
+    // gel. Posts shading the interfaces lower the levels further. Then whatever
+    // part of the gel is starved now
+    nutrientWarnings() {
+        const g = this.geometry;
+        const W = g.hydrogelWidth;
+        const warnings = [];
+        this.nutrients.forEach(n => {
+            const demand = this.nutrientDemand(n);
+            const reserve = n.medium - n.threshold;
+            // Medium level left at the outlet of a channel running at rate
+            // (µL/min) that feeds a depth of the gel (µm)
+            const outlet = (rate, depth) => n.medium - demand * depth * g.channelLength / (rate * 1e9 / 60 / g.channelDepth);
+            let centre = null;
+            if (demand > 0) this.protocol.phases.forEach(phase => {
+                const rates = ['top', 'bottom'].map(name => phase.inlets[name].flowRate);
+                const running = rates.filter(rate => rate > 0);
+                if (running.length === 2) {
+                    const level = outlet(Math.min(...running), W / 2) - demand * W * W / (8 * n.diffusivity);
+                    if (level < n.threshold && (centre === null || level < centre.level)) centre = { phase, level, rate: Math.min(...running) };
+                } else if (running.length === 0) {
+                    const lasts = Math.max(0, reserve) * (2 * g.channelWidth + W) / (demand * W);
+                    if (phase.duration * 60 > lasts) {
+                        warnings.push(`${n.name}: ${phase.name} stops both pumps for ${phase.duration} min, ` +
+                            `but the medium in the chip runs short after about ${Math.ceil(lasts / 60)} min`);
+                    }
+                } else if (outlet(running[0], W) - demand * W * W / (2 * n.diffusivity) < n.threshold) {
+                    warnings.push(`${n.name}: ${phase.name} stops the ${rates[0] === 0 ? 'top' : 'bottom'} pump; ` +
+                        `fed from one channel, the far side of the gel heads below ${n.threshold} µM`);
+                }
+            });
+            if (centre) {
+                // Widest gel whose centre stays supplied: depletion along the
+                // channels grows with W, the drop into the gel with W²
+                const quadratic = demand / (8 * n.diffusivity);
+                const linear = demand * g.channelLength * g.channelDepth * 60 / (2 * centre.rate * 1e9);
+                const supplied = (Math.sqrt(linear * linear + 4 * quadratic * Math.max(0, reserve)) - linear) / (2 * quadratic);
+                const level = centre.level > 0 ? ` (to about ${centre.level.toFixed(0)} µM)` : ' and runs out';
+                warnings.push(`${n.name}: in ${centre.phase.name} the centre of the ${W} µm gel falls below ${n.threshold} µM${level}; ` +
+                    `gels up to ${supplied.toFixed(0)} µm wide stay supplied`);
+            }
+            const starved = this.nutrientFields[n.id].gel.fractionBelow(n.threshold);
+            if (starved > 0) {
+                warnings.push(`${n.name}: ${(starved * 100).toFixed(starved < 0.1 ? 1 : 0)}% of the gel is below ${n.threshold} µM now`);
+            }
+        });
+        return warnings;
+    }
+    
+    // Edit one nutrient field within its range. A new medium level is the level
+    // the gel starts at, so it restarts the run
+    editNutrient(id, field, value) {
+        const n = this.nutrients.find(nu => nu.id === id);
+        const limit = this.nutrientLimits[field];
+        const number = parseFloat(value);
+        if (!n || !limit || !Number.isFinite(number)) return;
+        const rounded = parseFloat((Math.round(number / limit.step) * limit.step).toPrecision(6));
+        n[field] = Math.min(Math.max(rounded, limit.min), limit.max);
+        if (field === 'medium') this.reset();
+    }
+    
+    applyNutrientDynamics(changes) {
+        const p = { ...this.nutrientDynamics, ...changes };
+        Object.entries(this.nutrientDynamicsLimits).forEach(([key, limit]) => {
+            if (!Number.isFinite(p[key])) p[key] = this.nutrientDynamics[key];
+            const value = parseFloat((Math.round(p[key] / limit.step) * limit.step).toPrecision(6));
+            p[key] = Math.min(Math.max(value, limit.min), limit.max);
+        });
+        this.nutrientDynamics = p;
+    }
+    
+    // Top-to-bottom gradient (µM/mm, positive when the top is richer) from the gel
+    // edge rows, the linear steady-state profile set by the two inlets, and what
+    // that profile gives at the neuron row
+    transverseGradient(id = this.displaySpecies) {
+        const { gel: field, channels } = this.transport[id];
+        const L = this.layout;
+        const height = field.ny * field.dx / 1000; // mm
+        const top = channels.top.inlet;
+        const bottom = channels.bottom.inlet;
+        const neuronDepth = this.motorNeurons.length > 0
+            ? this.motorNeurons.reduce((acc, n) => acc + n.y - L.hydrogelY, 0) / this.motorNeurons.length / L.hydrogelHeight
+            : 0;
+        return {
+            current: (field.rowMean(0) - field.rowMean(field.ny - 1)) / height,
+            steady: (top - bottom) / height,
+            neuronSteady: top + (bottom - top) * neuronDepth
+        };
+    }
+    
+    // Record one sample per physics step: channel means and gel depth profile for
+    // every species, and mean effect per cell population, axon metrics, the gel's
+    // lowest and mean nutrient levels and the mean viability. When the history is
+    // full it is thinned to every other sample and the recording stride doubles,
+    // so the whole run stays on the chart at even spacing
+    recordHistory() {
+        if (this.stepCount++ % this.historyStride !== 0) return;
+        const sample = { time: this.simulationTime, phase: this.phaseIndex, species: {}, response: {} };
+        this.species.forEach(sp => {
+            const { gel, channels } = this.transport[sp.id];
+            sample.species[sp.id] = {
+                top: channels.top.mean(),
+                bottom: channels.bottom.mean(),
+                gel: this.gelDepths.map(depth => gel.rowMean(Math.min(gel.ny - 1, Math.floor(depth * gel.ny))))
+            };
+        });
+        const meanEffect = cells => cells.length === 0
+            ? 0
+            : cells.reduce((acc, c) => acc + c.drugExposure, 0) / cells.length;
+        sample.response.neuron = meanEffect(this.motorNeurons);
+        sample.response.axon = meanEffect(this.axons);
+        sample.response.schwannCell = meanEffect(this.schwannCells);
+        // Other types only while they have cells
+        this.cellTypes.forEach(t => {
+            const cells = this.cellsOf(t.id);
+            if (cells.length > 0) sample.response[t.id] = meanEffect(cells);
+        });
+        const r = this.recording;
+        sample.ephys = r ? { rate: r.rate, cap: r.cap, velocity: r.velocity } : null;
+        sample.axons = this.meanAxonMetrics();
+        sample.nutrients = {};
+        this.nutrients.forEach(n => {
+            const gel = this.nutrientFields[n.id].gel;
+            sample.nutrients[n.id] = { min: gel.min(), mean: gel.mean() };
+        });
+        sample.viability = this.meanViability();
+        
+        this.history.push(sample);
+        if (this.history.length > this.historyLimit) {
+            const last = this.history.length - 1;
+            this.history = this.history.filter((s, i) => (last - i) % 2 === 0);
+            this.historyStride *= 2;
+        }
+    }
+    
+    // Latest sample at or before time t (s)
+    historyAt(t) {
+        const h = this.history;
+        let lo = 0;
+        let hi = h.length - 1;
+        if (hi < 0 || t < h[0].time) return null;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (h[mid].time <= t) lo = mid;
+            else hi = mid - 1;
+        }
+        return h[lo];
+    }
+    
+    // Model parameters behind a run, in physical units
+    exportParameters() {
+        return {
+            umPerPx: this.umPerPx,
+            gridSize: this.gridSize,
+            channel: this.channelGeometry(),
+            mediumDensity: this.mediumDensity,
+            mediumViscosity: this.mediumViscosity,
+            temperature: this.temperature,
+            flowRates: { ...this.flowRates },
+            responseModels: JSON.parse(JSON.stringify(this.responseModels)),
+            responseThresholds: { ...this.responseThresholds },
+            clearanceTarget: this.clearanceTarget,
+            gelDepths: this.gelDepths.map(depth => depth * this.gridNy * this.gridSize * this.umPerPx),
+            axonDynamics: { ...this.axonDynamics },
+            nutrients: this.nutrients.map(n => ({ ...n })),
+            nutrientDynamics: { ...this.nutrientDynamics },
+            electrophysiology: { ...this.electrophysiology },
+            mea: { ...this.mea, rows: [...this.mea.rows] }
+        };
+    }
+    
+    // Current exposure of every cell, axon and axon segment. Positions are in µm
+    // from the gel's inlet end (x) and from the top channel interface (depth)
+    exportCells() {
+        const L = this.layout;
+        const row = (cell, population) => ({
+            id: cell.id,
+            population,
+            x: (cell.x - L.channelStartX) * this.umPerPx,
+            depth: (cell.y - L.hydrogelY) * this.umPerPx,
+            exposure: JSON.parse(JSON.stringify(cell.exposure)),
+            dose: cell.dose,
+            protection: cell.protection,
+            effect: cell.drugExposure,
+            response: cell.response
+        });
+        // Cells also carry their viability and local nutrient levels (µM)
+        const living = cell => ({
+            viability: cell.viability,
+            nutrients: Object.fromEntries(this.nutrients.map(n => [n.id, this.nutrientAt(n.id, cell.x, cell.y)]))
+        });
+        const cells = [];
+        // Neurons and their axons carry the axon's length, integrity and myelin,
+        // segments their own integrity and myelin, Schwann cells the axon they
+        // ensheathe and the myelin of their internode
+        const metrics = this.axons.map(a => this.axonMetrics(a));
+        const axonFields = m => ({ axonLength: m.length, axonConnected: m.connected, integrity: m.integrity, myelin: m.myelin });
+        this.motorNeurons.forEach((n, i) => cells.push({ ...row(n, 'neuron'), ...living(n), ...axonFields(metrics[i]) }));
+        this.schwannCells.forEach(s => cells.push({ ...row(s, 'schwannCell'), ...living(s), axon: s.axon, myelin: this.schwannMyelin(s) }));
+        this.otherCells.forEach(c => cells.push({ ...row(c, c.type), ...living(c) }));
+        this.axons.forEach((a, i) => {
+            // Axons are placed at their cell-body end
+            cells.push({ ...row({ ...a, x: a.startX, y: a.startY }, 'axon'), ...axonFields(metrics[i]) });
+            a.segments.forEach(seg => cells.push({ ...row(seg, 'axonSegment'), integrity: seg.integrity, myelin: seg.myelin }));
+        });
+        return cells;
+    }
+    
+    // Everything about the run as one structured document
+    exportResults() {
+        const sp = this.species.map(s => s.id);
+        return {
+            format: 'lab-on-chip-results',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            simulationTime: this.simulationTime,
+            parameters: this.exportParameters(),
+            species: this.species.map(s => ({ ...s })),
+            cellTypes: this.cellTypes.map(t => ({ ...t })),
+            protocol: JSON.parse(JSON.stringify(this.protocol)),
+            timeSeries: this.history.map(s => ({
+                time: s.time,
+                phase: this.protocol.phases[s.phase] ? this.protocol.phases[s.phase].name : null,
+                species: Object.fromEntries(sp.filter(id => s.species[id]).map(id => [id, s.species[id]])),
+                response: s.response,
+                axons: s.axons || null,
+                ephys: s.ephys || null,
+                nutrients: s.nutrients || null,
+                viability: s.viability !== undefined ? s.viability : null
+            })),
+            cells: this.exportCells(),
+            electrodes: this.layout.electrodes.map(e => ({
+                id: e.id,
+                x: (e.x - this.layout.channelStartX) * this.umPerPx,
+                depth: (e.y - this.layout.hydrogelY) * this.umPerPx
+            })),
+            recording: this.recording
+        };
+    }
+    
+    // One row per recorded sample; parameters and protocol as '#' comment lines
+    timeSeriesCsv() {
+        const lines = [
+            `# lab-on-chip time series, exported ${new Date().toISOString()}`,
+            `# parameters ${JSON.stringify(this.exportParameters())}`,
+            `# species ${JSON.stringify(this.species)}`,
+            `# protocol ${JSON.stringify(this.protocol.phases)}`
+        ];
+        const depths = this.exportParameters().gelDepths;
+        const header = ['time_s', 'phase'];
+        this.species.forEach(sp => {
+            header.push(`${sp.id}_top_uM`, `${sp.id}_bottom_uM`);
+            depths.forEach(d => header.push(`${sp.id}_gel_${Math.round(d)}um_uM`));
+        });
+        header.push('neuron_effect', 'axon_effect', 'schwannCell_effect', ...this.cellTypes.map(t => `${t.id}_effect`),
+            'firing_rate_hz', 'cap_amplitude', 'conduction_velocity_m_s',
+            'axon_length_um', 'axon_connected_um', 'axon_integrity', 'axon_myelin',
+            ...this.nutrients.flatMap(n => [`${n.id}_gel_min_uM`, `${n.id}_gel_mean_uM`]), 'viability');
+        lines.push(this.csvRow(header));
+        
+        this.history.forEach(s => {
+            const phase = this.protocol.phases[s.phase];
+            const values = [s.time.toFixed(3), phase ? phase.name : ''];
+            this.species.forEach(sp => {
+                const v = s.species[sp.id];
+                values.push(v ? v.top : '', v ? v.bottom : '');
+                depths.forEach((d, i) => values.push(v ? v.gel[i] : ''));
+            });
+            values.push(s.response.neuron, s.response.axon, s.response.schwannCell);
+            this.cellTypes.forEach(t => values.push(s.response[t.id] !== undefined ? s.response[t.id] : ''));
+            const ephys = s.ephys || {};
+            [ephys.rate, ephys.cap, ephys.velocity].forEach(v => values.push(v === undefined || v === null ? '' : v));
+            const axons = s.axons || {};
+            [axons.length, axons.connected, axons.integrity, axons.myelin].forEach(v => values.push(v === undefined || v === null ? '' : v));
+            this.nutrients.forEach(n => {
+                const v = s.nutrients && s.nutrients[n.id];
+                values.push(v ? v.min : '', v ? v.mean : '');
+            });
+            values.push(s.viability === undefined || s.viability === null ? '' : s.viability);
+            lines.push(this.csvRow(values));
+        });
+        return lines.join('\n') + '\n';
+    }
+    
+    // One row per cell, with each species' current exposure
+    cellsCsv() {
+        const header = ['id', 'population', 'x_um', 'depth_um'];
+        this.species.forEach(sp => header.push(`${sp.id}_uM`, `${sp.id}_retained_uM`, `${sp.id}_auc_uM_min`));
+        header.push('dose', 'protection', 'effect', 'response', 'axon_length_um', 'axon_connected_um', 'integrity', 'sheathed_axon', 'myelin',
+            ...this.nutrients.map(n => `${n.id}_uM`), 'viability');
+        const lines = [
+            `# lab-on-chip cell exposure at t = ${this.simulationTime.toFixed(1)} s`,
+            this.csvRow(header)
+        ];
+        this.exportCells().forEach(cell => {
+            const values = [cell.id, cell.population, cell.x.toFixed(1), cell.depth.toFixed(1)];
+            this.species.forEach(sp => {
+                const e = cell.exposure[sp.id];
+                values.push(e.concentration, e.retained, e.auc);
+            });
+            values.push(cell.dose, cell.protection, cell.effect, cell.response);
+            [cell.axonLength, cell.axonConnected, cell.integrity, cell.axon, cell.myelin].forEach(v => values.push(v === undefined || v === null ? '' : v));
+            this.nutrients.forEach(n => values.push(cell.nutrients ? cell.nutrients[n.id] : ''));
+            values.push(cell.viability === undefined ? '' : cell.viability);
+            lines.push(this.csvRow(values));
+        });
+        return lines.join('\n') + '\n';
+    }
+    
+    // Quote fields containing separators, quotes or line breaks
+    csvRow(values) {
+        return values.map(v => {
+            const text = String(v);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',');
+    }
+    
+    // New seed: new cell layout, and the run restarts on the seed's particle stream
+    setSeed(seed) {
+        this.seed = seed;
+        this.placementRng = new SeededRandom(this.seed + 3);
+        this.buildCells(this.randomCellGeometry());
+        this.reset();
+    }
+    
+    // Everything that defines a scenario: layout, cells, compounds, protocol and
+    // model parameters, but no run results
+    configuration(compact = false) {
+        return {
+            format: 'lab-on-chip-config',
+            version: 1,
+            seed: this.seed,
+            geometry: { ...this.geometry },
+            cells: this.cellGeometry(compact),
+            species: this.species.map(sp => ({ ...sp })),
+            protocol: JSON.parse(JSON.stringify(this.protocol)),
+            responseModels: JSON.parse(JSON.stringify(this.responseModels)),
+            responseThresholds: { ...this.responseThresholds },
+            clearanceTarget: this.clearanceTarget,
+            axonDynamics: { ...this.axonDynamics },
+            cellTypes: this.cellTypes.map(t => ({ ...t })),
+            nutrients: this.nutrients.map(n => ({ ...n })),
+            nutrientDynamics: { ...this.nutrientDynamics },
+            temperature: this.temperature,
+            drugConcentration: this.drugConcentration,
+            displaySpecies: this.displaySpecies,
+            timeCompression: this.timeCompression
+        };
+    }
+    
+    // Replace the scenario and start it from t = 0
+    applyConfiguration(config) {
+        if (config.format !== 'lab-on-chip-config' || config.version !== 1) {
+            throw new Error('not a lab-on-chip configuration');
+        }
+        this.geometry = { ...config.geometry };
+        this.layout = this.computeLayout();
+        this.seed = config.seed;
+        this.placementRng = new SeededRandom(this.seed + 3);
+        this.species = config.species.map(sp => ({ ...sp }));
+        this.protocol = JSON.parse(JSON.stringify(config.protocol));
+        this.responseModels = JSON.parse(JSON.stringify(config.responseModels));
+        this.responseThresholds = { ...config.responseThresholds };
+        this.clearanceTarget = config.clearanceTarget;
+        // Configurations from before axon growth keep the current axon parameters,
+        // and those from before myelination the current myelin parameters
+        if (config.axonDynamics) this.axonDynamics = { ...this.axonDynamics, ...config.axonDynamics };
+        // Configurations from before cell types keep the current types
+        if (config.cellTypes) this.cellTypes = config.cellTypes.map(t => ({ ...t }));
+        // and those from before nutrient transport the current nutrients
+        if (config.nutrients) this.nutrients = config.nutrients.map(n => ({ ...n }));
+        if (config.nutrientDynamics) this.nutrientDynamics = { ...this.nutrientDynamics, ...config.nutrientDynamics };
+        this.temperature = config.temperature;
+        this.drugConcentration = config.drugConcentration;
+        this.displaySpecies = this.speciesById(config.displaySpecies) ? config.displaySpecies : this.species[0].id;
+        this.setTimeCompression(config.timeCompression);
+        
+        this.initializeGrids();
+        this.buildCells(config.cells);
+        this.reset();
+    }
+    
+    // Replace the protocol and start it from t = 0. Phases are checked here
+    // because files from outside the editor can name anything
+    applyProtocol(protocol) {
+        const phases = Array.isArray(protocol) ? protocol : protocol.phases;
+        if (!Array.isArray(phases) || phases.length === 0) {
+            throw new Error('protocol has no phases');
+        }
+        phases.forEach((phase, i) => {
+            const where = `phase ${i + 1}`;
+            if (!this.phaseTypes[phase.type]) throw new Error(`${where}: unknown type '${phase.type}'`);
+            if (!(phase.duration > 0)) throw new Error(`${where}: duration must be positive`);
+            ['top', 'bottom'].forEach(name => {
+                const inlet = phase.inlets && phase.inlets[name];
+                if (!inlet || !(inlet.flowRate >= 0)) throw new Error(`${where}: ${name} inlet needs a flow rate`);
+                Object.keys(inlet.concentrations || {}).forEach(id => {
+                    if (!this.speciesById(id)) throw new Error(`${where}: unknown species '${id}'`);
+                });
+            });
+        });
+        
+        this.protocol = {
+            phases: phases.map((phase, i) => ({
+                name: phase.name || `Phase ${i + 1}`,
+                type: phase.type,
+                duration: phase.duration,
+                inlets: {
+                    top: { flowRate: this.clampFlowRate(phase.inlets.top.flowRate), concentrations: { ...phase.inlets.top.concentrations } },
+                    bottom: { flowRate: this.clampFlowRate(phase.inlets.bottom.flowRate), concentrations: { ...phase.inlets.bottom.concentrations } }
+                }
+            }))
+        };
+        this.reset();
+    }
+    
+    // Everything a run changes, as plain data: time, phase, particles, fields and cell exposure
+    captureRun() {
+        const transport = {};
+        this.species.forEach(sp => {
+            const t = this.transport[sp.id];
+            const channel = c => ({
+                values: Array.from(c.values), inlet: c.inlet, previousInlet: c.previousInlet, frontAge: c.frontAge
+            });
+            transport[sp.id] = {
+                gel: Array.from(t.gel.values),
+                channels: { top: channel(t.channels.top), bottom: channel(t.channels.bottom) },
+                neuronArrivalTime: t.neuronArrivalTime,
+                outletArrivalTimes: { ...t.outletArrivalTimes }
+            };
+        });
+        const nutrients = {};
+        this.nutrients.forEach(n => {
+            const f = this.nutrientFields[n.id];
+            nutrients[n.id] = {
+                gel: Array.from(f.gel.values),
+                channels: { top: Array.from(f.channels.top.values), bottom: Array.from(f.channels.bottom.values) }
+            };
+        });
+        const exposure = cell => JSON.parse(JSON.stringify({
+            exposure: cell.exposure, dose: cell.dose, protection: cell.protection,
+            drugExposure: cell.drugExposure, response: cell.response
+        }));
+        const living = cell => ({ ...exposure(cell), viability: cell.viability });
+        
+        return {
+            simulationTime: this.simulationTime,
+            flowRates: { ...this.flowRates },
+            phaseIndex: this.phaseIndex,
+            phaseStartTime: this.phaseStartTime,
+            protocolComplete: this.protocolComplete,
+            drugStartTime: this.drugStartTime,
+            washoutState: JSON.parse(JSON.stringify(this.washoutState)),
+            rngState: this.rng.state,
+            ephysRngState: this.ephysRng.state,
+            recording: JSON.parse(JSON.stringify(this.recording)),
+            nextRecordingTime: this.nextRecordingTime,
+            particles: {
+                flow: this.flowParticles.map(p => ({ ...p })),
+                drug: this.drugParticles.map(p => ({ ...p })),
+                diffusion: this.diffusionParticles.map(p => ({ ...p }))
+            },
+            transport,
+            nutrients,
+            cells: {
+                neurons: this.motorNeurons.map(living),
+                schwannCells: this.schwannCells.map(living),
+                others: this.otherCells.map(living),
+                axons: this.axons.map(a => ({
+                    ...exposure(a),
+                    length: a.length,
+                    segments: a.segments.map(seg => ({ ...exposure(seg), integrity: seg.integrity, myelin: seg.myelin }))
+                }))
+            },
+            historyStride: this.historyStride,
+            stepCount: this.stepCount
+        };
+    }
+    
+    // Put back a run captured by captureRun(); the captured data is left untouched
+    restoreRun(run) {
+        this.simulationTime = run.simulationTime;
+        this.flowRates = { ...run.flowRates };
+        this.phaseIndex = run.phaseIndex;
+        this.phaseStartTime = run.phaseStartTime;
+        this.protocolComplete = run.protocolComplete;
+        this.drugStartTime = run.drugStartTime;
+        this.washoutState = JSON.parse(JSON.stringify(run.washoutState));
+        this.rng.state = run.rngState;
+        // States saved before electrophysiology start recording from their own time
+        if (run.ephysRngState !== undefined) {
+            this.ephysRng.state = run.ephysRngState;
+            this.recording = JSON.parse(JSON.stringify(run.recording));
+            this.nextRecordingTime = run.nextRecordingTime;
+        } else {
+            this.recording = null;
+            this.nextRecordingTime = run.simulationTime;
+        }
+        this.flowParticles = run.particles.flow.map(p => ({ ...p }));
+        this.drugParticles = run.particles.drug.map(p => ({ ...p }));
+        this.diffusionParticles = run.particles.diffusion.map(p => ({ ...p }));
+        this.historyStride = run.historyStride;
+        this.stepCount = run.stepCount;
+        
+        // Compounds added after the run was captured were not on the chip yet
+        this.species.forEach(sp => {
+            const saved = run.transport[sp.id];
+            if (!saved) {
+                this.createTransport(sp.id);
+                return;
+            }
+            const t = this.transport[sp.id];
+            t.gel.values.set(saved.gel);
+            ['top', 'bottom'].forEach(name => {
+                const channel = t.channels[name];
+                channel.values.set(saved.channels[name].values);
+                channel.inlet = saved.channels[name].inlet;
+                channel.previousInlet = saved.channels[name].previousInlet;
+                channel.frontAge = saved.channels[name].frontAge;
+            });
+            t.neuronArrivalTime = saved.neuronArrivalTime;
+            t.outletArrivalTimes = { ...saved.outletArrivalTimes };
+        });
+        // States saved before nutrient transport keep the fresh medium of the reset
+        if (run.nutrients) {
+            this.nutrients.forEach(n => {
+                const saved = run.nutrients[n.id];
+                const f = this.nutrientFields[n.id];
+                f.gel.values.set(saved.gel);
+                f.channels.top.values.set(saved.channels.top);
+                f.channels.bottom.values.set(saved.channels.bottom);
+            });
+        }
+        
+        const assign = (cell, saved) => Object.assign(cell, JSON.parse(JSON.stringify(saved)));
+        this.motorNeurons.forEach((n, i) => assign(n, run.cells.neurons[i]));
+        this.schwannCells.forEach((s, i) => assign(s, run.cells.schwannCells[i]));
+        // States saved before cell types have no other cells
+        if (run.cells.others) this.otherCells.forEach((c, i) => assign(c, run.cells.others[i]));
+        this.axons.forEach((a, i) => {
+            const { segments, ...summary } = run.cells.axons[i];
+            assign(a, summary);
+            a.segments = [];
+            if (summary.length !== undefined) {
+                this.fitAxonSegments(a);
+                a.segments.forEach((seg, k) => assign(seg, segments[k]));
+            } else {
+                // States saved before axon growth had full-length axons in fewer,
+                // longer segments: each new segment takes the one it lies in
+                a.length = a.trackLength;
+                this.fitAxonSegments(a);
+                a.segments.forEach((seg, k) => assign(seg, {
+                    ...segments[Math.min(segments.length - 1, Math.floor((k + 0.5) / a.segments.length * segments.length))],
+                    integrity: 1
+                }));
+            }
+            // States saved before myelination start their sheaths at the starting myelin
+            if (segments.every(seg => seg.myelin === undefined)) {
+                a.segments.forEach((seg, k) => seg.myelin = a.sheaths[k] === null ? 0 : this.axonDynamics.startMyelin);
+            }
+        });
+        // Exposure follows the compounds on the chip now, whichever were when captured
+        this.forEachExposed(cell => {
+            Object.keys(cell.exposure).filter(id => !this.speciesById(id)).forEach(id => delete cell.exposure[id]);
+            this.species.forEach(sp => {
+                if (!cell.exposure[sp.id]) cell.exposure[sp.id] = this.emptySpeciesExposure();
+            });
+        });
+    }
+    
+    // Complete state: the scenario plus time, fields, cell exposure and history
+    serializeState() {
+        return {
+            format: 'lab-on-chip-state',
+            version: 1,
+            configuration: this.configuration(),
+            run: { ...this.captureRun(), history: this.history }
+        };
+    }
+    
+    // Load a saved state and continue the run from where it was saved
+    restoreState(state) {
+        if (state.format !== 'lab-on-chip-state' || state.version !== 1) {
+            throw new Error('not a lab-on-chip state file');
+        }
+        this.applyConfiguration(state.configuration);
+        
+        this.restoreRun(state.run);
+        this.history = state.run.history;
+        
+        // The timeline starts at the loaded time: earlier snapshots belong to the reset
+        this.snapshots = [];
+        this.takeSnapshot('interval');
+    }
+    
+    // Record the run as it is now. Kinds: 'interval' (periodic), 'phase' (a phase
+    // started, index = phase) and 'step' (a tutorial step was entered, index = step)
+    takeSnapshot(kind, index = null) {
+        this.snapshots.push({ time: this.simulationTime, kind, index, run: this.captureRun() });
+        this.stepsSinceSnapshot = 0;
+        
+        const periodic = this.snapshots.filter(snap => snap.kind === 'interval');
+        if (periodic.length > this.snapshotLimit) {
+            const dropped = new Set(periodic.filter((snap, i) => i % 2 === 1));
+            this.snapshots = this.snapshots.filter(snap => !dropped.has(snap));
+            this.snapshotSteps *= 2;
+        }
+    }
+    
+    // Step the run up to time t (s) in fixed physics steps
+    runTo(t) {
+        while (this.simulationTime + this.physicsStep / 2 < t) {
+            this.update(this.physicsStep);
+        }
+    }
+    
+    // Snapshot the start of the running phase, unless it is being re-run
+    markPhase() {
+        if (this.isRecording()) this.takeSnapshot('phase', this.phaseIndex);
+    }
+    
+    // Whether steps add to the record; those re-run by seek() are already in it
+    isRecording() {
+        return !this.seeking;
+    }
+    
+    // Carrying on from an earlier point starts a new branch: the recorded future is
+    // dropped. Returns whether there was any
+    discardFuture() {
+        const t = this.simulationTime + 1e-9;
+        if (this.snapshots.length === 0 || this.snapshots[this.snapshots.length - 1].time <= t) return false;
+        this.snapshots = this.snapshots.filter(snap => snap.time <= t);
+        this.history = this.history.filter(sample => sample.time <= t);
+        return true;
+    }
+    
+    // Latest time the run has reached, s
+    recordedTime() {
+        const last = this.snapshots[this.snapshots.length - 1];
+        const sample = this.history[this.history.length - 1];
+        return Math.max(this.simulationTime, last ? last.time : 0, sample ? sample.time : 0);
+    }
+    
+    // Return to a snapshot; the recorded history stays whole
+    restoreSnapshot(snapshot) {
+        this.restoreRun(snapshot.run);
+    }
+    
+    // Show the run at time t (s): restore the last snapshot before it and, when
+    // exact, re-run the physics from there in the same fixed steps, for the same result.
+    seek(t, exact = true) {
+        if (this.snapshots.length === 0) return;
+        const target = Math.min(Math.max(t, 0), this.recordedTime());
+        const before = this.snapshots.filter(snap => snap.time <= target + 1e-9);
+        this.restoreSnapshot(before.length > 0 ? before[before.length - 1] : this.snapshots[0]);
+        if (!exact) return;
+        
+        this.seeking = true;
+        try {
+            this.runTo(target);
+        } finally {
+            this.seeking = false;
+        }
+    }
+    
+    // Back to the start of the running phase, or of the one before when already there
+    previousPhase() {
+        const starts = this.snapshots.filter(snap => snap.kind === 'phase' && snap.time <= this.simulationTime + 1e-9);
+        let target = starts[starts.length - 1];
+        if (target && target.time >= this.simulationTime - 1e-9 && starts.length > 1) {
+            target = starts[starts.length - 2];
+        }
+        if (target) this.restoreSnapshot(target);
+    }
+    
+    // On to the next phase: its recorded start if the run got there, otherwise jump now
+    nextPhase() {
+        const ahead = this.snapshots.find(snap => snap.kind === 'phase' && snap.time > this.simulationTime + 1e-9);
+        if (ahead) {
+            this.restoreSnapshot(ahead);
+        } else if (this.phaseIndex < this.protocol.phases.length - 1) {
+            this.jumpToPhase(this.phaseIndex + 1);
+        }
+    }
+    
+    // Uniform sample from the run's random stream
+    random() {
+        return this.rng.next();
+    }
+    
+    // Standard normal sample (Box-Muller)
+    gaussian() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChipModel, SeededRandom, DiffusionField, ChannelField, solveTridiagonal };
+}
@@ -1,40 +1,78 @@
-class LabOnChipSimulation {
+// Browser front end: canvas rendering, charts, editors and playback on top of
+// the headless ChipModel (model.js, loaded first)
+class LabOnChipSimulation extends ChipModel {
     constructor() {
-        this.canvas = document.getElementById('chipCanvas');
-        this.ctx = this.canvas.getContext('2d');
+        const canvas = document.getElementById('chipCanvas');
+        super({ width: canvas.width, height: canvas.height });
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
         
-        // Simulation states
+        // Playback states
         this.isPlaying = false;
         this.currentStep = 0;
-        this.simulationTime = 0;
-        this.speed = 1;
-        this.flowRate = 0.5;
+        this.stepAccumulator = 0;       // experiment seconds not yet simulated
+        this.playbackSpeed = null;      // experiment seconds per real second actually reached
+        this.frameBudget = 15;          // ms of physics per animation frame
+        this.replay = null;             // { until, compression } while a phase is replayed
         
         // Animation frames
         this.animationId = null;
         this.lastTime = 0;
         
-        // Drug flow states
-        this.drugFrontPosition = 0;
-        this.diffusionLevel = 0;
-        this.flowParticles = [];
-        this.drugParticles = [];
-        this.diffusionParticles = [];
+        // Chart cursor (s) is null while following the live run
+        this.chartCursor = null;
+        this.chartsDirty = true;
+        // Readouts, nutrient summary and warnings follow the run once per rendered frame
+        this.readoutsDirty = true;
+        this.nutrientsDirty = true;
+        this.nutrientWarningsShown = null;
         
-        // Cell structuress
-        this.motorNeurons = [];
-        this.schwannCells = [];
-        this.axons = [];
+        // Parameter sweep: form ranges, and the running or finished sweep
+        this.sweepSpec = {
+            parameters: Object.fromEntries(Object.entries(ParameterSweep.parameters).map(([key, p]) => [key, {
+                enabled: key === 'flowRate' || key === 'drugConcentration', min: p.min, max: p.max, steps: 4
+            }]))
+        };
+        this.sweep = null;
+        this.sweepPoints = [];
+        
+        // Fluorescence view: channel settings keyed by source, optics, imaging
+        // schedule (min) and the captured images
+        this.viewMode = 'schematic';
+        this.imaging = { channels: {}, blur: 15, noise: true, schedule: [] };
+        this.gallery = [];
+        this.nextCameraFrame = 0;       // performance.now() when the live view re-exposes
+        
+        // Electrophysiology panel: selected MEA electrode, and the recording it shows
+        this.selectedElectrode = 3;
+        this.meaShown = undefined;
+        this.nextMeaDraw = 0;           // performance.now() when it may redraw while playing
+        
+        // Cell population editing on the canvas, and the cell being dragged
+        this.cellEditing = false;
+        this.cellDrag = null;           // { kind, index, x, y }: x, y where it will go (null until moved)
         
-        // Component regions for hover detection
-        this.components = [];
+        // Microscope image underlay, the canvas tool working on it, and the image
+        // being dragged into alignment
+        this.underlay = null;
+        this.underlayTool = '';
+        this.underlayDrag = null;       // { x, y, offsetX, offsetY } at the press
         
         // Initialize
         this.setupEventListeners();
-        this.initializeStructures();
-        this.initializeComponents();
         this.updateLegend();
+        this.renderSpeciesEditor();
+        this.renderGeometryEditor();
+        this.renderAxonEditor();
+        this.renderNutrientEditor();
+        this.renderCellEditor();
+        this.renderUnderlayEditor();
+        this.showResponseModel();
+        this.renderProtocolEditor();
+        this.renderSweepEditor();
+        this.showFlowRate();
         this.loadStep(0);
+        this.loadSharedConfiguration();
         this.render();
     }
     
@@ -48,7 +86,7 @@ class LabOnChipSimulation {
                     <li><strong>Two Medium Channels</strong> (blue) - top & bottom for nutrient flow</li>
                     <li><strong>ECM Hydrogel Region</strong> (pink) - central matrix housing cells</li>
                     <li><strong>Motor Neurons</strong> (green) - along top, extending axons downward</li>
-                    <li><strong>Schwann Cells</strong> (yellow-green) - elongated cells in hydrogel</li>
+                    <li><strong>Schwann Cells</strong> (yellow-green) - elongated cells lying along the axons</li>
                     <li><strong>Medium Reservoirs</strong> - spherical ports for fluid I/O</li>
                 </ul>`,
             highlight: "all"
@@ -80,10 +118,10 @@ class LabOnChipSimulation {
             title: "Step 2: Flow Initiation",
             description: `<p>The syringe pump activates at a very slow flow rate.</p>
                 <ul>
-                    <li>Flow rate: 0.5 µL/min (adjustable)</li>
+                    <li>Flow rate: 0.5 µL/min (adjustable with the Flow Rate control)</li>
                     <li>Laminar flow - no turbulent mixing</li>
-                    <li>Drug pushes old medium in plug-like manner</li>
-                    <li>Clear interface maintained between solutions</li>
+                    <li>Parabolic velocity profile: fastest along the centre line</li>
+                    <li>The drug front stretches into a bullet shape and disperses</li>
                 </ul>
                 <p style="color: #00d9ff;">Watch the drug solution enter the channels</p>`,
             highlight: "flow",
@@ -108,7 +146,7 @@ class LabOnChipSimulation {
                     <li>Movement down concentration gradient</li>
                     <li>Crosses from channels into ECM Hydrogel</li>
                     <li>Diffusion from both top and bottom channels</li>
-                    <li>PDMS posts don't block diffusion</li>
+                    <li>Enters only through the gaps between PDMS posts</li>
                 </ul>
                 <p style="color: #ffa500;">Watch molecules spread into the gel</p>`,
             highlight: "diffusion",
@@ -131,7 +169,7 @@ class LabOnChipSimulation {
             title: "Step 6: Observation & Washout",
             description: `<p>Measurements are taken, then drug is washed out:</p>
                 <ul>
-                    <li>Live-cell imaging or electrical recording</li>
+                    <li>Live-cell imaging (Fluorescence view) or electrical recording (MEA panel)</li>
                     <li>Observations at specific time points</li>
                     <li>After exposure: switch to fresh medium</li>
                     <li>Flush drug from system</li>
@@ -146,7 +184,7 @@ class LabOnChipSimulation {
     componentInfo = {
         mediumChannel: {
             title: "Medium Channel",
-            description: "Microfluidic channels (top & bottom) carrying culture medium and drug solutions. Laminar flow ensures predictable, plug-like drug delivery without turbulent mixing."
+            description: "Microfluidic channels (top & bottom) carrying culture medium and drug solutions. Laminar flow with a parabolic velocity profile delivers drug without turbulent mixing; the front disperses as it advances."
         },
         hydrogel: {
             title: "ECM Hydrogel",
@@ -158,7 +196,7 @@ class LabOnChipSimulation {
         },
         schwannCell: {
             title: "Schwann Cells",
-            description: "Elongated supporting cells that wrap around axons to create myelin sheaths. Essential for modeling myelinated peripheral nerves."
+            description: "Elongated supporting cells that wrap around axons to create myelin sheaths. Each ensheathes one internode; myelin speeds conduction and is lost to demyelinating compounds or Schwann cell damage."
         },
         reservoir: {
             title: "Medium Reservoir",
@@ -167,6 +205,14 @@ class LabOnChipSimulation {
         hydrogelPort: {
             title: "Hydrogel Injection Port",
             description: "Central port used to load the cell-hydrogel mixture into the central chamber during initial chip assembly."
+        },
+        pdmsPost: {
+            title: "PDMS Post Array",
+            description: "Rows of PDMS posts pin the gel by surface tension while it is loaded. The posts are impermeable, so drug only enters the gel through the gaps between them."
+        },
+        electrode: {
+            title: "MEA Electrode",
+            description: "Planar microelectrode under the gel. It picks up extracellular spikes from nearby cell bodies and from axons passing over it."
         }
     };
     
@@ -176,18 +222,294 @@ class LabOnChipSimulation {
         { color: "#FFB6C1", label: "ECM Hydrogel" },
         { color: "#90EE90", label: "Motor Neurons" },
         { color: "#9ACD32", label: "Schwann Cells" },
-        { color: "#ff4444", label: "Drug Solution" },
+        { color: "#3c1e5a", label: "Starved gel" },
     ];
     
+    depthColors = ['#ff6b6b', '#ffa94d', '#ffd43b', '#69db7c', '#4dabf7'];
+    
+    chartPadding = { left: 30, right: 6, top: 6, bottom: 16 };
+    
+    // Most runs one sweep may ask for
+    sweepRunLimit = 500;
+    
+    // Cell stains of the fluorescence view; every compound is also a tracer channel
+    fluorescenceStains = {
+        neurons: { label: 'Neurons (βIII-tubulin)', color: '#ff3366', exposure: 250 },
+        schwann: { label: 'Schwann cells (S100)', color: '#ffaa00', exposure: 250 },
+        nuclei: { label: 'Nuclei (Hoechst)', color: '#3377ff', exposure: 100 }
+    };
+    
+    // Camera: photons per ms from a stained pixel or a tracer at its reference
+    // concentration, chip autofluorescence on the same scale, read noise (e⁻),
+    // 12-bit full scale, and canvas px per camera pixel
+    camera = { photonsPerMs: 12, autofluorescence: 0.03, readNoise: 4, fullScale: 4095, binning: 2 };
+    
     // Setup event listeners for UI controls
     setupEventListeners() {
         document.getElementById('playPauseBtn').addEventListener('click', () => this.togglePlay());
         document.getElementById('resetBtn').addEventListener('click', () => this.reset());
         document.getElementById('nextStepBtn').addEventListener('click', () => this.nextStep());
+        document.getElementById('prevStepBtn').addEventListener('click', () => this.previousStep());
+        
+        // Run timeline: dragging jumps between snapshots, releasing settles on the exact time
+        const runTimeline = document.getElementById('runTimeline');
+        runTimeline.addEventListener('input', () => this.seek(parseFloat(runTimeline.value), false));
+        runTimeline.addEventListener('change', () => this.seek(parseFloat(runTimeline.value)));
+        document.getElementById('prevPhaseBtn').addEventListener('click', () => this.previousPhase());
+        document.getElementById('nextPhaseBtn').addEventListener('click', () => this.nextPhase());
+        document.getElementById('replayPhaseBtn').addEventListener('click', () => this.replayPhase());
+        document.getElementById('replayCompression').innerHTML = this.timeCompressions.map(c =>
+            `<option value="${c.factor}">${c.label}</option>`).join('');
+        document.getElementById('replayCompression').value = 60;
+        
+        document.getElementById('timeCompression').innerHTML = this.timeCompressions.map(c =>
+            `<option value="${c.factor}">${c.label}</option>`).join('');
+        document.getElementById('timeCompression').value = this.timeCompression;
+        document.getElementById('timeCompression').addEventListener('change', (e) => {
+            this.setTimeCompression(parseFloat(e.target.value));
+        });
+        
+        document.getElementById('flowRateInput').addEventListener('change', () => this.readFlowRate());
+        document.getElementById('flowUnit').addEventListener('change', () => this.showFlowRate());
+        document.getElementById('flowChannel').addEventListener('change', () => this.showFlowRate());
+        
+        // Protocol editor (rows are rebuilt, so listen on the table)
+        const rows = document.getElementById('protocolRows');
+        rows.addEventListener('change', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.dataset.field) {
+                this.editPhase(parseInt(row.dataset.index), e.target.dataset.field, e.target.value);
+            }
+        });
+        rows.addEventListener('click', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.dataset.action) {
+                this.protocolAction(e.target.dataset.action, parseInt(row.dataset.index));
+            }
+        });
+        document.querySelectorAll('[data-add-phase]').forEach(btn => {
+            btn.addEventListener('click', () => this.protocolAction('add', btn.dataset.addPhase));
+        });
+        
+        document.getElementById('displaySpecies').addEventListener('change', (e) => {
+            this.displaySpecies = e.target.value;
+            this.updateGeometrySummary();
+            this.updateMetrics();
+            this.render();
+        });
+        
+        // Species editor
+        const speciesRows = document.getElementById('speciesRows');
+        speciesRows.addEventListener('change', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.dataset.field) {
+                this.editSpecies(row.dataset.id, e.target.dataset.field, e.target.value);
+            }
+        });
+        speciesRows.addEventListener('click', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.dataset.action === 'remove') this.removeSpecies(row.dataset.id);
+        });
+        document.getElementById('addSpeciesBtn').addEventListener('click', () => this.addSpecies());
+        
+        // Charts: press and drag to scrub the time cursor, Live to follow the run
+        Object.keys(this.chartSeries()).forEach(id => {
+            const chart = document.getElementById(id);
+            let scrubbing = false;
+            chart.addEventListener('mousedown', (e) => {
+                scrubbing = true;
+                this.scrubCharts(chart, e);
+            });
+            chart.addEventListener('mousemove', (e) => {
+                if (scrubbing) this.scrubCharts(chart, e);
+            });
+            window.addEventListener('mouseup', () => scrubbing = false);
+        });
+        document.getElementById('exportCsvBtn').addEventListener('click', () =>
+            this.downloadFile('chip-timeseries.csv', this.timeSeriesCsv(), 'text/csv'));
+        document.getElementById('exportCellsBtn').addEventListener('click', () =>
+            this.downloadFile('chip-cells.csv', this.cellsCsv(), 'text/csv'));
+        document.getElementById('exportJsonBtn').addEventListener('click', () =>
+            this.downloadFile('chip-results.json', JSON.stringify(this.exportResults(), null, 2), 'application/json'));
+        
+        // MEA: click an electrode for its trace
+        const meaCanvas = document.getElementById('meaCanvas');
+        meaCanvas.addEventListener('click', (e) => {
+            const rect = meaCanvas.getBoundingClientRect();
+            const column = Math.min(this.mea.columns - 1, Math.floor((e.clientX - rect.left) / rect.width * this.mea.columns));
+            const row = Math.min(this.mea.rows.length - 1, Math.floor((e.clientY - rect.top) / rect.height * this.mea.rows.length));
+            this.selectedElectrode = row * this.mea.columns + column;
+            this.drawMea();
+            this.render();
+        });
+        
+        // Parameter sweep
+        const sweepParams = document.getElementById('sweepParams');
+        sweepParams.addEventListener('change', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.dataset.field) this.editSweepParameter(row.dataset.key, e.target.dataset.field, e.target);
+        });
+        document.getElementById('sweepMode').addEventListener('change', () => this.updateSweepCount());
+        document.getElementById('sweepSamples').addEventListener('change', () => this.updateSweepCount());
+        document.getElementById('runSweepBtn').addEventListener('click', () => this.startSweep());
+        document.getElementById('cancelSweepBtn').addEventListener('click', () => this.cancelSweep());
+        document.getElementById('exportSweepBtn').addEventListener('click', () => {
+            if (this.sweep) this.downloadFile('chip-sweep.csv', this.sweepCsv(), 'text/csv');
+        });
+        ['sweepMetric', 'sweepX', 'sweepY'].forEach(id =>
+            document.getElementById(id).addEventListener('change', () => this.drawSweepHeatmap()));
+        document.getElementById('sweepHeatmap').addEventListener('click', (e) => this.pickSweepRun(e));
+        document.getElementById('sweepRows').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="load"]');
+            if (button) this.loadSweepRun(parseInt(button.closest('tr').dataset.index, 10));
+        });
+        
+        // Fluorescence view, imaging schedule and gallery
+        document.getElementById('viewMode').addEventListener('change', (e) => {
+            this.viewMode = e.target.value;
+            this.render();
+        });
+        document.getElementById('imagingChannels').addEventListener('change', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.dataset.field) this.editImagingChannel(row.dataset.key, e.target.dataset.field, e.target);
+        });
+        document.getElementById('imagingBlur').addEventListener('change', () => this.editImagingOptics());
+        document.getElementById('imagingNoise').addEventListener('change', () => this.editImagingOptics());
+        document.getElementById('imagingSchedule').addEventListener('change', (e) => this.setImagingSchedule(e.target.value));
+        document.getElementById('phaseEndsBtn').addEventListener('click', () => this.scheduleAtPhaseEnds());
+        document.getElementById('captureBtn').addEventListener('click', () => this.captureImage());
+        document.getElementById('clearGalleryBtn').addEventListener('click', () => {
+            this.gallery = [];
+            this.renderGallery();
+        });
+        document.getElementById('imageGallery').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove"]');
+            if (button) {
+                this.gallery.splice(parseInt(button.closest('figure').dataset.index, 10), 1);
+                this.renderGallery();
+            }
+        });
         
-        document.getElementById('speedSlider').addEventListener('input', (e) => {
-            this.speed = parseFloat(e.target.value);
-            document.getElementById('speedValue').textContent = this.speed + 'x';
+        document.getElementById('seedInput').value = this.seed;
+        document.getElementById('seedInput').addEventListener('change', (e) => {
+            const seed = parseInt(e.target.value, 10);
+            if (seed >= 0) this.setSeed(seed);
+            else e.target.value = this.seed;
+        });
+        document.getElementById('newSeedBtn').addEventListener('click', () =>
+            this.setSeed(Math.floor(Math.random() * 1e6)));
+        
+        // Geometry editor: any change rebuilds the chip and restarts the run
+        document.getElementById('axonFields').addEventListener('change', (e) => {
+            if (e.target.dataset.field) this.applyAxonDynamics({ [e.target.dataset.field]: parseFloat(e.target.value) });
+        });
+        document.getElementById('nutrientRows').addEventListener('change', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.dataset.field) this.editNutrient(row.dataset.id, e.target.dataset.field, e.target.value);
+        });
+        document.getElementById('nutrientFields').addEventListener('change', (e) => {
+            if (e.target.dataset.field) this.applyNutrientDynamics({ [e.target.dataset.field]: parseFloat(e.target.value) });
+        });
+        document.getElementById('geometryFields').addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (e.target.dataset.field === 'postShape') {
+                this.applyGeometry({ postShape: e.target.value });
+            } else if (e.target.dataset.field && value > 0) {
+                this.applyGeometry({ [e.target.dataset.field]: value });
+            } else {
+                this.renderGeometryEditor();
+            }
+        });
+        
+        // Cell population: edit mode, density seeding and cell types
+        document.getElementById('cellEditMode').addEventListener('change', (e) => {
+            this.cellEditing = e.target.checked;
+            this.canvas.classList.toggle('editing', this.cellEditing);
+        });
+        document.getElementById('populationRows').addEventListener('click', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.dataset.action === 'seed') {
+                this.seedCells(row.dataset.kind, parseFloat(row.querySelector('[data-field="density"]').value));
+            }
+        });
+        const cellTypeRows = document.getElementById('cellTypeRows');
+        cellTypeRows.addEventListener('change', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.dataset.field) this.editCellType(row.dataset.id, e.target.dataset.field, e.target.value);
+        });
+        cellTypeRows.addEventListener('click', (e) => {
+            const row = e.target.closest('tr');
+            if (row && e.target.dataset.action === 'remove') this.removeCellType(row.dataset.id);
+        });
+        document.getElementById('addCellTypeBtn').addEventListener('click', () => this.addCellType());
+        this.canvas.addEventListener('mousedown', (e) => this.pressCanvas(e));
+        window.addEventListener('mouseup', () => this.releaseCanvas());
+        
+        // Microscope image: loading, display, calibration, alignment and cell marks
+        document.getElementById('loadUnderlayBtn').addEventListener('click', () =>
+            document.getElementById('underlayFileInput').click());
+        document.getElementById('underlayFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadUnderlay(file);
+        });
+        document.getElementById('underlayTool').addEventListener('change', (e) => {
+            this.underlayTool = e.target.value;
+            if (this.underlay && this.underlayTool === 'calibrate') this.underlay.calibration = [];
+            this.renderUnderlayEditor();
+            this.render();
+        });
+        ['underlayVisible', 'underlayOpacity', 'underlayScale', 'underlayX', 'underlayY', 'underlayRotation', 'calibrationDistance'].forEach(id =>
+            document.getElementById(id).addEventListener('change', () => this.editUnderlay(id)));
+        document.getElementById('applyMarksBtn').addEventListener('click', () => this.applyUnderlayMarks());
+        document.getElementById('clearMarksBtn').addEventListener('click', () => {
+            if (!this.underlay) return;
+            this.underlay.marks = [];
+            this.renderUnderlayEditor();
+            this.render();
+        });
+        
+        // Session: state files and shareable links
+        document.getElementById('saveStateBtn').addEventListener('click', () =>
+            this.downloadFile('chip-state.json', JSON.stringify(this.serializeState()), 'application/json'));
+        document.getElementById('loadStateBtn').addEventListener('click', () =>
+            document.getElementById('stateFileInput').click());
+        document.getElementById('stateFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    this.restoreState(JSON.parse(reader.result));
+                    this.showSessionStatus(`Loaded ${file.name}`);
+                } catch (err) {
+                    this.showSessionStatus(`Could not load ${file.name}: ${err.message}`);
+                }
+            };
+            reader.readAsText(file);
+        });
+        document.getElementById('shareLinkBtn').addEventListener('click', () => {
+            const link = this.shareLink();
+            history.replaceState(null, '', link);
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(link).then(
+                    () => this.showSessionStatus('Link copied to clipboard'),
+                    () => this.showSessionStatus('Link is in the address bar'));
+            } else {
+                this.showSessionStatus('Link is in the address bar');
+            }
+        });
+        
+        document.getElementById('chartLiveBtn').addEventListener('click', () => {
+            this.chartCursor = null;
+            this.chartsDirty = true;
+            this.drawCharts();
+        });
+        
+        document.getElementById('responseType').addEventListener('change', () => this.showResponseModel());
+        ['ec50Input', 'hillInput', 'emaxInput', 'partitionInput', 'halfLifeInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyResponseModel());
         });
         
         this.canvas.addEventListener('mousemove', (e) => this.handleHover(e));
@@ -195,120 +517,492 @@ class LabOnChipSimulation {
         document.getElementById('closeInfo').addEventListener('click', () => this.hideComponentInfo());
     }
     
-    initializeStructures() {
-        // Define layout dimensions matching reference images
-        this.layout = {
-            chipX: 100, chipY: 60, chipW: 600, chipH: 380,
-            
-            // Top medium channel (blue)
-            topChannelY: 80, channelHeight: 45,
-            
-            // Hydrogel region (pink) - between channels
-            hydrogelY: 125, hydrogelHeight: 250,
-            
-            // Bottom medium channel (blue)
-            bottomChannelY: 375,
-            
-            // Channel horizontal extent
-            channelStartX: 180, channelEndX: 620
-        };
+    applyGeometry(changes) {
+        super.applyGeometry(changes);
+        this.renderGeometryEditor();
+        this.renderAxonEditor();
+        this.renderCellEditor();
+    }
+    
+    // Cell edits: refresh the population table, axon summary and legend
+    applyCells(geometry) {
+        super.applyCells(geometry);
+        this.renderCellEditor();
+        this.renderAxonEditor();
+        this.updateLegend();
+    }
+    
+    // Every population cells can be placed in, with its name and colour
+    populations() {
+        return [
+            { kind: 'neuron', name: 'Motor neurons', color: '#90EE90' },
+            { kind: 'schwannCell', name: 'Schwann cells', color: '#9ACD32' },
+            ...this.cellTypes.map(t => ({ kind: t.id, name: this.escapeHtml(t.name), color: t.color }))
+        ];
+    }
+    
+    // Build the population and cell type tables from the current cells
+    renderCellEditor() {
+        const populations = this.populations().map(pop => ({
+            ...pop, count: this.cellsOf(pop.kind).length, limit: this.cellDensityLimits[pop.kind] || this.cellDensityLimits.other
+        }));
+        document.getElementById('populationRows').innerHTML = populations.map(pop => `
+            <tr data-kind="${pop.kind}">
+                <td><div class="legend-color" style="background: ${pop.color}"></div></td>
+                <td>${pop.name}</td>
+                <td>${pop.count}</td>
+                <td><input type="number" data-field="density" min="${pop.limit.min}" max="${pop.limit.max}" step="${pop.limit.step}" value="${(pop.count / this.gelArea()).toFixed(1)}"></td>
+                <td class="row-actions"><button data-action="seed" title="Replace these cells with a random seeding at this density">🎲</button></td>
+            </tr>
+        `).join('');
         
-        // Motor Neurons - small round cells with nuclei along top of hydrogel
-        // Resembling the reference image's small circles with inner circles
-        const neuronCount = 10;
-        for (let i = 0; i < neuronCount; i++) {
-            const x = 195 + i * 43;
-            this.motorNeurons.push({
-                x: x,
-                y: 140 + (Math.random() - 0.5) * 15,
-                radius: 10,
-                phase: Math.random() * Math.PI * 2,
-                drugExposure: 0
-            });
-        }
+        const options = (choices, selected) => Object.entries(choices).map(([key, label]) =>
+            `<option value="${key}"${key === selected ? ' selected' : ''}>${label}</option>`).join('');
+        const responseLabels = { neuron: 'Motor neuron', axon: 'Axon', schwannCell: 'Schwann cell' };
+        document.getElementById('cellTypeRows').innerHTML = this.cellTypes.map(t => `
+            <tr data-id="${t.id}">
+                <td><input type="color" data-field="color" value="${t.color}"></td>
+                <td><input type="text" data-field="name" value="${this.escapeHtml(t.name)}"></td>
+                <td><input type="number" data-field="radius" min="1" max="30" step="1" value="${t.radius}"></td>
+                <td><select data-field="shape">${options(this.cellShapes, t.shape)}</select></td>
+                <td><select data-field="responseModel">${options(responseLabels, t.responseModel)}</select></td>
+                <td><input type="text" data-field="description" value="${this.escapeHtml(t.description)}"></td>
+                <td class="row-actions"><button data-action="remove" title="Remove the type and its cells">✕</button></td>
+            </tr>
+        `).join('');
         
-        // Axons extending from neurons downward (thin lines)
-        this.motorNeurons.forEach((neuron, i) => {
-            this.axons.push({
-                startX: neuron.x,
-                startY: neuron.y + neuron.radius,
-                endX: neuron.x + (Math.random() - 0.5) * 20,
-                endY: 365,
-                drugExposure: 0
-            });
+        ['placeKind', 'markKind'].forEach(id => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            select.innerHTML = populations.map(pop => `<option value="${pop.kind}">${pop.name}</option>`).join('');
+            if (populations.some(pop => pop.kind === selected)) select.value = selected;
         });
+    }
+    
+    // Apply an edit from the cell type table
+    editCellType(id, field, value) {
+        super.editCellType(id, field, value);
+        this.renderCellEditor();
+        this.initializeComponents();
+        this.updateLegend();
+        this.chartsDirty = true;
+        this.render();
+    }
+    
+    addCellType() {
+        const id = super.addCellType();
+        this.renderCellEditor();
+        return id;
+    }
+    
+    removeCellType(id) {
+        super.removeCellType(id);
+        this.renderCellEditor();
+        this.updateLegend();
+        this.chartsDirty = true;
+        this.render();
+    }
+    
+    // Edit mode: Shift-click removes the cell under the pointer, pressing on a
+    // cell starts dragging it, and a click on empty gel places the chosen population
+    pressCanvas(e) {
+        const { x, y } = this.canvasPoint(e);
+        if (this.underlay && this.underlayTool) {
+            this.pressUnderlay(x, y, e.shiftKey);
+            return;
+        }
+        if (!this.cellEditing) return;
+        const hit = this.components.find(c => c.kind && x >= c.x && x <= c.x + c.width && y >= c.y && y <= c.y + c.height);
+        if (hit && e.shiftKey) {
+            this.removeCell(hit.kind, hit.index);
+        } else if (hit) {
+            this.cellDrag = { kind: hit.kind, index: hit.index, x: null, y: null };
+        } else {
+            const L = this.layout;
+            if (x >= L.channelStartX && x <= L.channelEndX && y >= L.hydrogelY && y <= L.hydrogelY + L.hydrogelHeight) {
+                this.addCell(document.getElementById('placeKind').value, x, y);
+            }
+        }
+    }
+    
+    // End of a press: a dragged cell moves to where it was dropped, restarting the
+    // run once; while dragging only its preview follows the pointer
+    releaseCanvas() {
+        const drag = this.cellDrag;
+        this.cellDrag = null;
+        this.underlayDrag = null;
+        if (drag && drag.x !== null) {
+            this.moveCell(drag.kind, drag.index, drag.x, drag.y);
+            this.render();
+        }
+    }
+    
+    // Read a PNG or JPEG through the browser, or a TIFF through TiffImage, into
+    // an off-screen canvas
+    loadUnderlay(file) {
+        const fail = err => document.getElementById('underlayStatus').textContent = `Could not load ${file.name}: ${err.message}`;
+        if (/\.tiff?$/i.test(file.name) || file.type === 'image/tiff') {
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    const tiff = TiffImage.decode(reader.result);
+                    const image = document.createElement('canvas');
+                    image.width = tiff.width;
+                    image.height = tiff.height;
+                    const ctx = image.getContext('2d');
+                    const data = ctx.createImageData(tiff.width, tiff.height);
+                    data.data.set(tiff.rgba);
+                    ctx.putImageData(data, 0, 0);
+                    this.setUnderlay(image, file.name, tiff.umPerPixel);
+                } catch (err) {
+                    fail(err);
+                }
+            };
+            reader.readAsArrayBuffer(file);
+            return;
+        }
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            const image = document.createElement('canvas');
+            image.width = img.naturalWidth;
+            image.height = img.naturalHeight;
+            image.getContext('2d').drawImage(img, 0, 0);
+            this.setUnderlay(image, file.name, null);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            fail(new Error('not an image this browser can read'));
+        };
+        img.src = url;
+    }
+    
+    // New underlay at the file's own pixel size, or else spanning the channel
+    // length, with its corner on the top channel's inlet end. Its position is in
+    // µm from the gel's inlet end and top interface, like exported cells
+    setUnderlay(image, name, umPerPixel) {
+        const L = this.layout;
+        this.underlay = {
+            image,
+            name,
+            umPerPixel: umPerPixel || (L.channelEndX - L.channelStartX) * this.umPerPx / image.width,
+            calibrated: umPerPixel !== null,
+            x: 0,
+            y: -this.geometry.channelWidth,
+            rotation: 0,
+            opacity: 0.7,
+            visible: true,
+            calibration: [],            // image px { u, v } of the reference points
+            marks: []                   // { kind, u, v } in image px
+        };
+        this.renderUnderlayEditor();
+        this.render();
+    }
+    
+    // Canvas px of an image pixel position
+    underlayToCanvas(u, v) {
+        const U = this.underlay;
+        const L = this.layout;
+        const s = U.umPerPixel / this.umPerPx;
+        const angle = U.rotation * Math.PI / 180;
+        return {
+            x: L.channelStartX + U.x / this.umPerPx + s * (u * Math.cos(angle) - v * Math.sin(angle)),
+            y: L.hydrogelY + U.y / this.umPerPx + s * (u * Math.sin(angle) + v * Math.cos(angle))
+        };
+    }
+    
+    // Image pixel position under a canvas point
+    canvasToUnderlay(x, y) {
+        const U = this.underlay;
+        const L = this.layout;
+        const s = U.umPerPixel / this.umPerPx;
+        const angle = U.rotation * Math.PI / 180;
+        const dx = x - L.channelStartX - U.x / this.umPerPx;
+        const dy = y - L.hydrogelY - U.y / this.umPerPx;
+        return {
+            u: (dx * Math.cos(angle) + dy * Math.sin(angle)) / s,
+            v: (dy * Math.cos(angle) - dx * Math.sin(angle)) / s
+        };
+    }
+    
+    // Underlay tools: calibration takes two points, alignment drags the image,
+    // marking adds a cell of the chosen population and Shift-click removes the
+    // nearest mark
+    pressUnderlay(x, y, remove) {
+        const U = this.underlay;
+        const point = this.canvasToUnderlay(x, y);
+        if (this.underlayTool === 'calibrate') {
+            if (U.calibration.length === 2) U.calibration = [];
+            U.calibration.push(point);
+            if (U.calibration.length === 2) this.calibrateUnderlay();
+        } else if (this.underlayTool === 'align') {
+            this.underlayDrag = { x, y, offsetX: U.x, offsetY: U.y };
+        } else if (remove) {
+            const distance = m => {
+                const at = this.underlayToCanvas(m.u, m.v);
+                return Math.hypot(at.x - x, at.y - y);
+            };
+            const nearest = U.marks.reduce((best, m) => best === null || distance(m) < distance(best) ? m : best, null);
+            if (nearest && distance(nearest) <= 8) U.marks = U.marks.filter(m => m !== nearest);
+        } else {
+            U.marks.push({ kind: document.getElementById('markKind').value, ...point });
+        }
+        this.renderUnderlayEditor();
+        this.render();
+    }
+    
+    // Pixel size from the two reference points and the distance (µm) between
+    // them, keeping the first point where it is on the canvas
+    calibrateUnderlay() {
+        const U = this.underlay;
+        const [a, b] = U.calibration;
+        const distance = parseFloat(document.getElementById('calibrationDistance').value);
+        const pixels = Math.hypot(b.u - a.u, b.v - a.v);
+        if (!(distance > 0) || pixels === 0) return;
+        const anchor = this.underlayToCanvas(a.u, a.v);
+        U.umPerPixel = distance / pixels;
+        U.calibrated = true;
+        const moved = this.underlayToCanvas(a.u, a.v);
+        U.x += (anchor.x - moved.x) * this.umPerPx;
+        U.y += (anchor.y - moved.y) * this.umPerPx;
+    }
+    
+    // Apply one field of the underlay form; a new reference distance rescales a
+    // finished calibration
+    editUnderlay(id) {
+        const U = this.underlay;
+        const input = document.getElementById(id);
+        const value = parseFloat(input.value);
+        if (U) {
+            if (id === 'underlayVisible') U.visible = input.checked;
+            else if (id === 'underlayOpacity' && value >= 0) U.opacity = Math.min(1, value);
+            else if (id === 'underlayScale' && value > 0) U.umPerPixel = value;
+            else if (id === 'underlayX' && Number.isFinite(value)) U.x = value;
+            else if (id === 'underlayY' && Number.isFinite(value)) U.y = value;
+            else if (id === 'underlayRotation' && Number.isFinite(value)) U.rotation = value;
+            else if (id === 'calibrationDistance' && U.calibration.length === 2) this.calibrateUnderlay();
+        }
+        this.renderUnderlayEditor();
+        this.render();
+    }
+    
+    // Marked cells become the simulated cells of their populations
+    applyUnderlayMarks() {
+        const U = this.underlay;
+        if (!U || U.marks.length === 0) return;
+        this.applyCellMarks(U.marks.map(m => ({ kind: m.kind, ...this.underlayToCanvas(m.u, m.v) })));
+    }
+    
+    // Underlay form, status and the help for the chosen tool
+    renderUnderlayEditor() {
+        const U = this.underlay;
+        const field = (id, value) => document.getElementById(id).value = value;
+        field('underlayOpacity', U ? U.opacity : '');
+        field('underlayScale', U ? +U.umPerPixel.toPrecision(4) : '');
+        field('underlayX', U ? Math.round(U.x) : '');
+        field('underlayY', U ? Math.round(U.y) : '');
+        field('underlayRotation', U ? +U.rotation.toFixed(1) : '');
+        document.getElementById('underlayVisible').checked = !U || U.visible;
+        document.getElementById('underlayStatus').textContent = U
+            ? `${U.name} · ${U.image.width}×${U.image.height} px · ${U.umPerPixel.toPrecision(3)} µm/px` +
+              `${U.calibrated ? '' : ' (uncalibrated)'} · ${U.marks.length} marked cells`
+            : 'No image loaded';
+        const help = {
+            '': 'Load an image, then calibrate it, align it and mark cells with the tools.',
+            calibrate: 'Click two points a known distance apart (e.g. the ends of a scale bar) and enter that distance.',
+            align: 'Drag the image until its channels line up with the dashed outline, or type the offset and rotation.',
+            annotate: 'Click each cell in the image to mark it as the chosen population; Shift-click removes a mark.'
+        };
+        document.getElementById('underlayHelp').textContent = help[this.underlayTool];
+    }
+    
+    applyAxonDynamics(changes) {
+        super.applyAxonDynamics(changes);
+        this.renderAxonEditor();
+        this.updateResponseSummary();
+        this.chartsDirty = true;
+        this.render();
+    }
+    
+    // Build the axon growth form from the editable ranges
+    renderAxonEditor() {
+        document.getElementById('axonFields').innerHTML = Object.entries(this.axonDynamicsLimits).map(([key, limit]) => `
+            <label>${limit.label}
+                <input type="number" data-field="${key}" min="${limit.min}" max="${limit.max}" step="${limit.step}" value="${this.axonDynamics[key]}"> ${limit.unit}
+            </label>
+        `).join('');
+        const p = this.axonDynamics;
+        const track = this.axons.reduce((acc, a) => acc + a.trackLength, 0) / Math.max(1, this.axons.length);
+        const remaining = track * (1 - p.startLength);
+        const outgrowth = remaining <= 0 ? 'axons start fully grown'
+            : p.growthRate > 0 ? `reaching it at the base rate takes ${this.formatDuration(remaining / p.growthRate * 3600)}`
+            : 'no growth';
+        const sheathed = this.axons.filter(a => a.sheaths.some(c => c !== null)).length;
+        document.getElementById('axonSummary').textContent =
+            `Track to the bottom channel ≈ ${track.toFixed(0)} µm in ${Math.ceil(track / p.segmentLength)} segments; ${outgrowth}. ` +
+            `${this.schwannCells.filter(c => c.axon !== null).length} Schwann cells ensheathe ${sheathed} of ${this.axons.length} axons`;
+    }
+    
+    editNutrient(id, field, value) {
+        super.editNutrient(id, field, value);
+        this.renderNutrientEditor();
+        this.chartsDirty = true;
+        this.render();
+    }
+    
+    applyNutrientDynamics(changes) {
+        super.applyNutrientDynamics(changes);
+        this.renderNutrientEditor();
+    }
+    
+    // Build the nutrient table and culture form from the editable ranges
+    renderNutrientEditor() {
+        const fields = Object.entries(this.nutrientLimits);
+        document.getElementById('nutrientHead').innerHTML = '<th>Nutrient</th>' +
+            fields.map(([, limit]) => `<th>${limit.label} (${limit.unit})</th>`).join('');
+        document.getElementById('nutrientRows').innerHTML = this.nutrients.map(n => `
+            <tr data-id="${n.id}">
+                <td><span class="species-dot" style="background: ${n.color}"></span>${n.name}</td>
+                ${fields.map(([key, limit]) => `
+                    <td><input type="number" data-field="${key}" min="${limit.min}" max="${limit.max}" step="${limit.step}" value="${n[key]}"></td>
+                `).join('')}
+            </tr>
+        `).join('');
+        document.getElementById('nutrientFields').innerHTML = Object.entries(this.nutrientDynamicsLimits).map(([key, limit]) => `
+            <label>${limit.label}
+                <input type="number" data-field="${key}" min="${limit.min}" max="${limit.max}" step="${limit.step}" value="${this.nutrientDynamics[key]}"> ${limit.unit}
+            </label>
+        `).join('');
+        this.updateNutrientStatus();
+    }
+    
+    // Uptake, the run's lowest gel levels and the starvation warnings; the list
+    // is only rebuilt when a warning changes
+    updateNutrientStatus() {
+        this.nutrientsDirty = false;
+        const demand = this.nutrients.map(n => `${n.name.toLowerCase()} ${this.nutrientDemand(n).toPrecision(2)} µM/s`);
+        const lowest = this.nutrients.map(n => `${this.nutrientFields[n.id].gel.min().toFixed(n.medium >= 1000 ? 0 : 1)} µM ${n.name.toLowerCase()}`);
+        document.getElementById('nutrientSummary').textContent =
+            `Uptake at the medium level: ${demand.join(', ')}. Lowest in the gel now: ${lowest.join(', ')}.`;
+        const warnings = this.nutrientWarnings();
+        const shown = warnings.join('\n');
+        if (shown === this.nutrientWarningsShown) return;
+        this.nutrientWarningsShown = shown;
+        document.getElementById('nutrientWarnings').innerHTML = warnings.length === 0
+            ? '<li class="ok">No nutrient runs short in this design and protocol</li>'
+            : warnings.map(w => `<li>${this.escapeHtml(w)}</li>`).join('');
+    }
+    
+    // Build the geometry form from the editable ranges
+    renderGeometryEditor() {
+        const shapes = Object.entries(this.postShapes).map(([key, label]) =>
+            `<option value="${key}"${key === this.geometry.postShape ? ' selected' : ''}>${label}</option>`).join('');
+        document.getElementById('geometryFields').innerHTML = Object.entries(this.geometryLimits).map(([key, limit]) => `
+            <label>${limit.label}
+                <input type="number" data-field="${key}" min="${limit.min}" max="${limit.max}" step="${limit.step}" value="${this.geometry[key]}"> µm
+            </label>
+        `).join('') + `
+            <label>Post shape
+                <select data-field="postShape">${shapes}</select>
+            </label>`;
+        this.updateGeometrySummary();
+    }
+    
+    // Derived numbers that tell designs apart: gel diffusion time and channel aspect
+    updateGeometrySummary() {
+        const g = this.geometry;
+        const sp = this.speciesById(this.displaySpecies);
+        const halfWidth = g.hydrogelWidth / 2;
+        const midlineTime = halfWidth * halfWidth / (2 * sp.diffusivity) / 60;
+        document.getElementById('geometrySummary').textContent =
+            `Gel midline diffusion time ≈ ${midlineTime.toFixed(0)} min (${sp.name}), ` +
+            `channel aspect ${(g.channelWidth / g.channelDepth).toFixed(1)}:1, ` +
+            `gel volume ${(g.hydrogelWidth * g.channelLength * g.channelDepth * 1e-9).toFixed(2)} µL, ` +
+            `open gel interface ${(this.interfaceOpenFraction() * 100).toFixed(0)}%`;
+    }
+    
+    // Offscreen canvases for the channel strips and the gel heatmap, one pixel per grid cell
+    initializeGrids() {
+        super.initializeGrids();
         
-        // Schwann Cells - elongated yellowish-green cells in the hydrogel
-        // Positioned in rows in the middle section
-        const schwannPositions = [
-            // Row 1
-            { x: 220, y: 280 }, { x: 310, y: 285 }, { x: 400, y: 275 }, 
-            { x: 490, y: 280 }, { x: 580, y: 285 },
-            // Row 2
-            { x: 250, y: 330 }, { x: 350, y: 325 }, { x: 450, y: 335 }, 
-            { x: 550, y: 328 }
-        ];
-        
-        schwannPositions.forEach(pos => {
-            this.schwannCells.push({
-                x: pos.x,
-                y: pos.y,
-                width: 50 + Math.random() * 15,
-                height: 18 + Math.random() * 6,
-                rotation: (Math.random() - 0.5) * 0.4,
-                drugExposure: 0
-            });
-        });
+        this.channelRows = 12;
+        this.channelCanvas = document.createElement('canvas');
+        this.channelCanvas.width = this.gridNx;
+        this.channelCanvas.height = this.channelRows;
+        this.channelCtx = this.channelCanvas.getContext('2d');
+        this.channelImage = this.channelCtx.createImageData(this.gridNx, this.channelRows);
         
-        // Flow particles in channels
-        for (let i = 0; i < 12; i++) {
-            this.flowParticles.push({
-                // Random x and y within top channel length
-                x: 180 + Math.random() * 440,
-                y: this.layout.topChannelY + 10 + Math.random() * 25,
-                speed: 0.4 + Math.random() * 0.3,
-                size: 2.5,
-                channel: 'top'
-            });
-            this.flowParticles.push({
-                // Random x and y within bottom channel length
-                x: 180 + Math.random() * 440,
-                y: this.layout.bottomChannelY + 10 + Math.random() * 25,
-                speed: 0.4 + Math.random() * 0.3,
-                size: 2.5,
-                channel: 'bottom'
-            });
-        }
+        // Offscreen canvas for the concentration heatmap
+        this.heatmapCanvas = document.createElement('canvas');
+        this.heatmapCanvas.width = this.gridNx;
+        this.heatmapCanvas.height = this.gridNy;
+        this.heatmapCtx = this.heatmapCanvas.getContext('2d');
+        this.heatmapImage = this.heatmapCtx.createImageData(this.gridNx, this.gridNy);
+    }
+    
+    // Hover (and edit) regions follow the cells
+    buildCells(geometry) {
+        super.buildCells(geometry);
+        this.initializeComponents();
     }
     
-    // Component regions for hover detection
+    // Component regions for hover detection. Cells come first so they win over the
+    // gel they sit in, and carry their population and index for editing
     initializeComponents() {
         const L = this.layout;
+        const px = um => um / this.umPerPx;
+        const box = (cell, rx, ry) => {
+            const cos = Math.abs(Math.cos(cell.rotation));
+            const sin = Math.abs(Math.sin(cell.rotation));
+            const hw = rx * cos + ry * sin;
+            const hh = rx * sin + ry * cos;
+            return { x: cell.x - hw, y: cell.y - hh, width: 2 * hw, height: 2 * hh, cell };
+        };
         this.components = [
+            ...this.motorNeurons.map((n, i) => ({
+                type: 'neuron', kind: 'neuron', index: i, x: n.x - 12, y: n.y - 12, width: 24, height: 24, cell: n
+            })),
+            // Schwann cells lie along the axons, so their box bounds the rotated ellipse
+            ...this.schwannCells.map((s, i) => ({
+                type: 'schwannCell', kind: 'schwannCell', index: i, ...box(s, s.width / 2, s.height / 2)
+            })),
+            ...this.cellTypes.flatMap(t => this.cellsOf(t.id).map((c, i) => ({
+                type: t.id, kind: t.id, index: i, ...box(c, ...this.cellExtent(t))
+            }))),
+            ...this.posts.map(post => ({
+                type: 'pdmsPost',
+                x: L.channelStartX + px(post.x), y: L.hydrogelY + px(post.y),
+                width: px(post.size), height: px(post.size)
+            })),
+            ...L.electrodes.map((e, i) => ({ type: 'electrode', x: e.x - 4, y: e.y - 4, width: 8, height: 8, electrode: i })),
             { type: 'mediumChannel', x: L.channelStartX, y: L.topChannelY, width: L.channelEndX - L.channelStartX, height: L.channelHeight },
             { type: 'mediumChannel', x: L.channelStartX, y: L.bottomChannelY, width: L.channelEndX - L.channelStartX, height: L.channelHeight },
             { type: 'hydrogel', x: L.channelStartX, y: L.hydrogelY, width: L.channelEndX - L.channelStartX, height: L.hydrogelHeight },
-            { type: 'reservoir', x: 105, y: 70, width: 45, height: 45 },
-            { type: 'reservoir', x: 105, y: 365, width: 45, height: 45 },
-            { type: 'reservoir', x: 650, y: 70, width: 45, height: 45 },
-            { type: 'reservoir', x: 650, y: 365, width: 45, height: 45 },
-            { type: 'hydrogelPort', x: 100, y: 225, width: 35, height: 35 }
+            ...L.reservoirs.map(res => ({
+                type: 'reservoir',
+                x: res.x - L.reservoirRadius - 2, y: res.y - L.reservoirRadius - 2,
+                width: 2 * L.reservoirRadius + 4, height: 2 * L.reservoirRadius + 4
+            })),
+            { type: 'hydrogelPort', x: L.port.x - 17, y: L.port.y - 17, width: 35, height: 35 }
         ];
-        
-        // Add motor neurons and schwann cells as individual components
-        this.motorNeurons.forEach(n => {
-            this.components.push({ type: 'neuron', x: n.x - 12, y: n.y - 12, width: 24, height: 24 });
-        });
-        
-        this.schwannCells.forEach(s => {
-            this.components.push({ type: 'schwannCell', x: s.x - s.width/2, y: s.y - s.height/2, width: s.width, height: s.height });
-        });
+    }
+    
+    // Half-extents (px) of a cell of a type along and across its rotation
+    cellExtent(type) {
+        if (type.shape === 'elongated') return [type.radius * 1.8, type.radius * 0.55];
+        if (type.shape === 'amoeboid') return [type.radius * 1.35, type.radius * 1.35];
+        return [type.radius, type.radius];
     }
     
     // Update legend display
     updateLegend() {
         const container = document.getElementById('legendItems');
-        container.innerHTML = this.legendItems.map(item => `
+        const placed = this.cellTypes.filter(t => this.cellsOf(t.id).length > 0);
+        const items = this.legendItems
+            .concat(placed.map(t => ({ color: t.color, label: this.escapeHtml(t.name) })))
+            .concat(this.species.map(sp => ({ color: sp.color, label: this.escapeHtml(sp.name) })));
+        container.innerHTML = items.map(item => `
             <div class="legend-item">
                 <div class="legend-color" style="background: ${item.color}"></div>
                 <span>${item.label}</span>
@@ -316,8 +1010,258 @@ class LabOnChipSimulation {
         `).join('');
     }
     
-    // Load a specific tutorial step
+    // Time compression choices: experiment seconds simulated per real second
+    timeCompressions = [
+        { factor: 1, label: 'Real time' },
+        { factor: 10, label: '10× (10 s/s)' },
+        { factor: 60, label: '60× (1 min/s)' },
+        { factor: 300, label: '300× (5 min/s)' },
+        { factor: 900, label: '900× (15 min/s)' },
+        { factor: 3600, label: '3600× (1 h/s)' }
+    ];
+    
+    setTimeCompression(factor) {
+        super.setTimeCompression(factor);
+        this.playbackSpeed = null;
+        document.getElementById('timeCompression').value = factor;
+    }
+    
+    // Pump units, as factors from µL/min
+    flowUnits = {
+        'uL/min': { label: 'µL/min', factor: 1 },
+        'uL/h': { label: 'µL/h', factor: 60 },
+        'nL/min': { label: 'nL/min', factor: 1000 }
+    };
+    
+    // Channels the pump control applies to
+    selectedFlowChannels() {
+        const choice = document.getElementById('flowChannel').value;
+        return choice === 'both' ? ['top', 'bottom'] : [choice];
+    }
+    
+    // Read the flow-rate input in the selected pump units
+    readFlowRate() {
+        const unit = this.flowUnits[document.getElementById('flowUnit').value];
+        const value = parseFloat(document.getElementById('flowRateInput').value);
+        if (value >= 0) {
+            const rate = this.clampFlowRate(value / unit.factor);
+            // The pump control adjusts the running phase
+            this.selectedFlowChannels().forEach(name => {
+                this.flowRates[name] = rate;
+                this.currentPhase().inlets[name].flowRate = rate;
+            });
+            this.renderProtocolEditor();
+            this.updateNutrientStatus();
+        }
+        this.showFlowRate();
+        this.updateMetrics();
+    }
+    
+    // Show the current flow rate in the selected pump units
+    showFlowRate() {
+        const unitKey = document.getElementById('flowUnit').value;
+        const unit = this.flowUnits[unitKey];
+        const input = document.getElementById('flowRateInput');
+        input.min = this.flowRateLimits.min * unit.factor;
+        input.max = this.flowRateLimits.max * unit.factor;
+        input.value = parseFloat((this.flowRates[this.selectedFlowChannels()[0]] * unit.factor).toPrecision(4));
+    }
+    
+    // Fill the dose-response form for the selected population
+    showResponseModel() {
+        const model = this.responseModels[document.getElementById('responseType').value];
+        document.getElementById('ec50Input').value = model.ec50;
+        document.getElementById('hillInput').value = model.hill;
+        document.getElementById('emaxInput').value = model.emax;
+        document.getElementById('partitionInput').value = model.partition;
+        document.getElementById('halfLifeInput').value = model.halfLife;
+    }
+    
+    // Read the dose-response form back into the selected population's model
+    applyResponseModel() {
+        const model = this.responseModels[document.getElementById('responseType').value];
+        const ec50 = parseFloat(document.getElementById('ec50Input').value);
+        const hill = parseFloat(document.getElementById('hillInput').value);
+        const emax = parseFloat(document.getElementById('emaxInput').value);
+        if (ec50 > 0) model.ec50 = ec50;
+        if (hill > 0) model.hill = hill;
+        if (emax >= 0 && emax <= 1) model.emax = emax;
+        const partition = parseFloat(document.getElementById('partitionInput').value);
+        const halfLife = parseFloat(document.getElementById('halfLifeInput').value);
+        if (partition >= 0) model.partition = partition;
+        if (halfLife > 0) model.halfLife = halfLife;
+        this.showResponseModel();
+    }
+    
+    jumpToPhase(index) {
+        if (this.replay) this.endReplay();
+        super.jumpToPhase(index);
+        this.showFlowRate();
+        this.renderProtocolEditor();
+    }
+    
+    advanceProtocol() {
+        const running = this.phaseIndex;
+        super.advanceProtocol();
+        if (this.phaseIndex !== running) {
+            this.showFlowRate();
+            this.renderProtocolEditor();
+        }
+    }
+    
+    // Build the protocol table and timeline
+    renderProtocolEditor() {
+        const phases = this.protocol.phases;
+        const speciesHeads = this.species.map(sp =>
+            `<th><span class="species-dot" style="background: ${sp.color}"></span>${this.escapeHtml(sp.name)} µM</th>`).join('');
+        document.getElementById('protocolHead').innerHTML = `
+            <tr>
+                <th>#</th><th>Phase</th><th>Type</th><th>Duration (min)</th>
+                <th class="channel-start">Top µL/min</th>${speciesHeads}
+                <th class="channel-start">Bottom µL/min</th>${speciesHeads}
+                <th></th>
+            </tr>`;
+        const total = this.protocolDuration();
+        const typeOptions = (selected) => Object.entries(this.phaseTypes).map(([key, type]) =>
+            `<option value="${key}"${key === selected ? ' selected' : ''}>${type.label}</option>`).join('');
+        
+        document.getElementById('protocolTimeline').innerHTML = phases.map((phase, i) => `
+            <div class="timeline-phase" style="flex: ${phase.duration}; background: ${this.phaseTypes[phase.type].color}"
+                title="${this.escapeHtml(phase.name)}: ${phase.duration} min">${this.escapeHtml(phase.name)}</div>
+        `).join('') + '<div class="timeline-cursor" id="timelineCursor"></div>';
+        
+        document.getElementById('protocolRows').innerHTML = phases.map((phase, i) => `
+            <tr class="${i === this.phaseIndex ? 'active' : ''}" data-index="${i}">
+                <td>${i + 1}</td>
+                <td><input type="text" data-field="name" value="${this.escapeHtml(phase.name)}"></td>
+                <td><select data-field="type">${typeOptions(phase.type)}</select></td>
+                <td><input type="number" data-field="duration" min="0.1" step="1" value="${phase.duration}"></td>
+                ${['top', 'bottom'].map(name => `
+                    <td><input type="number" data-field="${name}.flowRate" min="${this.flowRateLimits.min}" max="${this.flowRateLimits.max}" step="0.05" value="${phase.inlets[name].flowRate}"></td>
+                    ${this.species.map(sp => `
+                        <td><input type="number" data-field="${name}.conc.${sp.id}" min="0" step="1" value="${phase.inlets[name].concentrations[sp.id] || 0}"></td>
+                    `).join('')}
+                `).join('')}
+                <td class="row-actions">
+                    <button data-action="up" title="Move up">↑</button>
+                    <button data-action="down" title="Move down">↓</button>
+                    <button data-action="duplicate" title="Duplicate">⧉</button>
+                    <button data-action="remove" title="Remove"${phases.length === 1 ? ' disabled' : ''}>✕</button>
+                </td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('protocolTotal').textContent = `${this.formatDuration(total * 60)} total`;
+        this.updateProtocolStatus();
+    }
+    
+    // Move the timeline cursor and describe the running phase
+    updateProtocolStatus() {
+        const phase = this.currentPhase();
+        const elapsed = (this.simulationTime - this.phaseStartTime) / 60;
+        const before = this.protocol.phases.slice(0, this.phaseIndex).reduce((acc, p) => acc + p.duration, 0);
+        const progress = Math.min(1, (before + Math.min(elapsed, phase.duration)) / this.protocolDuration());
+        
+        document.getElementById('timelineCursor').style.left = (progress * 100).toFixed(2) + '%';
+        this.updateRunTimeline();
+        document.getElementById('protocolStatus').textContent = this.protocolComplete
+            ? `Protocol complete — holding ${phase.name}`
+            : `Phase ${this.phaseIndex + 1}/${this.protocol.phases.length}: ${phase.name} — ` +
+              `${this.formatDuration(elapsed * 60)} / ${this.formatDuration(phase.duration * 60)}`;
+    }
+    
+    // Apply an edit from the protocol table
+    editPhase(index, field, value) {
+        super.editPhase(index, field, value);
+        this.showFlowRate();
+        this.renderProtocolEditor();
+        this.updateNutrientStatus();
+    }
+    
+    protocolAction(action, index) {
+        super.protocolAction(action, index);
+        this.showFlowRate();
+        this.renderProtocolEditor();
+        this.updateNutrientStatus();
+    }
+    
+    // Build the compound table and the display selector
+    renderSpeciesEditor() {
+        const effectOptions = (selected) => Object.entries(this.speciesEffects).map(([key, label]) =>
+            `<option value="${key}"${key === selected ? ' selected' : ''}>${label}</option>`).join('');
+        
+        document.getElementById('speciesRows').innerHTML = this.species.map(sp => `
+            <tr data-id="${sp.id}">
+                <td><input type="color" data-field="color" value="${sp.color}"></td>
+                <td><input type="text" data-field="name" value="${this.escapeHtml(sp.name)}"></td>
+                <td><input type="number" data-field="molecularWeight" min="1" step="10" value="${sp.molecularWeight}"></td>
+                <td><input type="number" data-field="diffusivity" min="1" max="10000" step="5" value="${sp.diffusivity}"></td>
+                <td><select data-field="effect">${effectOptions(sp.effect)}</select></td>
+                <td><input type="number" data-field="potency" min="0" step="0.1" value="${sp.potency}"></td>
+                <td class="row-actions">
+                    <button data-action="remove" title="Remove"${this.species.length === 1 ? ' disabled' : ''}>✕</button>
+                </td>
+            </tr>
+        `).join('');
+        
+        if (!this.speciesById(this.displaySpecies)) this.displaySpecies = this.species[0].id;
+        document.getElementById('displaySpecies').innerHTML = this.species.map(sp =>
+            `<option value="${sp.id}"${sp.id === this.displaySpecies ? ' selected' : ''}>${this.escapeHtml(sp.name)}</option>`).join('');
+        document.getElementById('displaySpecies').value = this.displaySpecies;
+        this.renderImagingEditor();
+    }
+    
+    // Apply an edit from the compound table
+    editSpecies(id, field, value) {
+        super.editSpecies(id, field, value);
+        this.renderSpeciesEditor();
+        this.updateSweepNote();
+        this.renderProtocolEditor();
+        this.updateLegend();
+        this.updateGeometrySummary();
+        this.updateMetrics();
+        this.render();
+    }
+    
+    addSpecies() {
+        const id = super.addSpecies();
+        this.renderSpeciesEditor();
+        this.renderProtocolEditor();
+        this.updateLegend();
+        return id;
+    }
+    
+    removeSpecies(id) {
+        super.removeSpecies(id);
+        this.renderSpeciesEditor();
+        this.updateSweepNote();
+        this.renderProtocolEditor();
+        this.updateLegend();
+        this.updateMetrics();
+        this.render();
+    }
+    
+    // Load a specific tutorial step. A step visited before brings back the run as
+    // it was when the step was entered; a new one runs its action and is recorded.
     loadStep(stepIndex) {
+        this.showStep(stepIndex);
+        
+        const visited = this.snapshots.find(snap => snap.kind === 'step' && snap.index === stepIndex);
+        if (visited) {
+            this.restoreSnapshot(visited);
+            return;
+        }
+        
+        this.discardFuture();
+        const step = this.steps[stepIndex];
+        if (step.action) {
+            this[step.action]();
+        }
+        this.takeSnapshot('step', stepIndex);
+    }
+    
+    // Tutorial text for a step
+    showStep(stepIndex) {
         this.currentStep = stepIndex;
         const step = this.steps[stepIndex];
         
@@ -325,9 +1269,13 @@ class LabOnChipSimulation {
         document.getElementById('totalSteps').textContent = this.steps.length;
         document.getElementById('stepTitle').textContent = step.title;
         document.getElementById('stepDescription').innerHTML = step.description;
-        
-        if (step.action) {
-            this[step.action]();
+        document.getElementById('prevStepBtn').disabled = stepIndex === 0;
+    }
+    
+    // Navigate to the previous tutorial step
+    previousStep() {
+        if (this.currentStep > 0) {
+            this.loadStep(this.currentStep - 1);
         }
     }
     
@@ -336,7 +1284,6 @@ class LabOnChipSimulation {
         if (this.currentStep < this.steps.length - 1) {
             this.loadStep(this.currentStep + 1);
         } else {
-            this.loadStep(0);
             this.reset();
         }
     }
@@ -348,9 +1295,11 @@ class LabOnChipSimulation {
         
         if (this.isPlaying) {
             this.lastTime = performance.now();
+            this.playbackSpeed = null;
             this.animate();
         } else {
             cancelAnimationFrame(this.animationId);
+            if (this.recording !== this.meaShown) this.drawMea();
         }
     }
     
@@ -359,141 +1308,1156 @@ class LabOnChipSimulation {
         this.isPlaying = false;
         document.getElementById('playPauseBtn').textContent = '▶ Play';
         cancelAnimationFrame(this.animationId);
+        if (this.replay) this.endReplay();
+        this.stepAccumulator = 0;
+        this.chartCursor = null;
+        this.chartsDirty = true;
         
-        this.simulationTime = 0;
-        this.drugFrontPosition = 0;
-        this.diffusionLevel = 0;
-        this.drugParticles = [];
-        this.diffusionParticles = [];
-        
-        this.motorNeurons.forEach(n => n.drugExposure = 0);
-        this.axons.forEach(a => a.drugExposure = 0);
-        this.schwannCells.forEach(s => s.drugExposure = 0);
+        super.reset();
+        this.showFlowRate();
+        this.renderProtocolEditor();
+        this.updateNutrientStatus();
+        this.updateMetrics();
+        this.updateResponseSummary();
+        this.updateImagingStatus();
         
         this.loadStep(0);
         this.render();
     }
     
-    // Action methods
-    startDrugFlow() { this.drugFrontPosition = 0; }
+    // Action methods: tutorial steps move the protocol forward to the matching phase
+    startDrugFlow() {
+        const index = this.protocol.phases.findIndex(p => this.phaseHasDrug(p));
+        if (index > this.phaseIndex) this.jumpToPhase(index);
+    }
     continueDrugFlow() {}
     startDiffusion() {
         if (this.diffusionParticles.length === 0) {
-            // From top channel
-            for (let i = 0; i < 25; i++) {
-                this.diffusionParticles.push({
-                    x: 200 + Math.random() * 400,
-                    y: 125,
-                    targetY: 180 + Math.random() * 150,
-                    speed: 0.12 + Math.random() * 0.15,
-                    size: 3,
-                    alpha: 1,
-                    direction: 1
-                });
-            }
-            // From bottom channel
-            for (let i = 0; i < 25; i++) {
+            const L = this.layout;
+            // Tracer molecules released at both channel interfaces
+            for (let i = 0; i < 50; i++) {
                 this.diffusionParticles.push({
-                    x: 200 + Math.random() * 400,
-                    y: 375,
-                    targetY: 280 + Math.random() * 80,
-                    speed: 0.12 + Math.random() * 0.15,
+                    x: L.channelStartX + 20 + this.random() * (L.channelEndX - L.channelStartX - 40),
+                    y: i < 25 ? L.hydrogelY + 2 : L.hydrogelY + L.hydrogelHeight - 2,
                     size: 3,
-                    alpha: 1,
-                    direction: -1
+                    alpha: 1
                 });
             }
         }
     }
     
     // Drug reaches cells
-    drugReachesCells() {
-        this.diffusionLevel = Math.max(this.diffusionLevel, 0.5);
-    }
+    drugReachesCells() {}
     
     // Washout
-    washout() {}
+    washout() {
+        const index = this.protocol.phases.findIndex((p, i) => i > this.phaseIndex && p.type === 'washout');
+        if (index > this.phaseIndex) this.jumpToPhase(index);
+    }
     
     // Main animation loop
     animate() {
         if (!this.isPlaying) return;
         
+        // Compression sets how much experiment time a frame covers, run in fixed
+        // physics steps so results do not depend on the speed or frame rate. Steps
+        // beyond the frame budget are dropped: the run then plays as fast as it can
         const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastTime) / 1000 * this.speed;
+        const elapsed = Math.min((currentTime - this.lastTime) / 1000, 0.25);
+        this.stepAccumulator += elapsed * this.timeCompression;
         this.lastTime = currentTime;
         
-        this.update(deltaTime);
+        let steps = 0;
+        while (this.isPlaying && this.stepAccumulator >= this.physicsStep && performance.now() - currentTime < this.frameBudget) {
+            this.update(this.physicsStep);
+            this.stepAccumulator -= this.physicsStep;
+            steps++;
+        }
+        this.stepAccumulator = Math.min(this.stepAccumulator, this.physicsStep);
+        if (elapsed > 0) {
+            const speed = steps * this.physicsStep / elapsed;
+            this.playbackSpeed = this.playbackSpeed === null ? speed : 0.9 * this.playbackSpeed + 0.1 * speed;
+        }
         this.render();
         
         this.animationId = requestAnimationFrame(() => this.animate());
     }
     
-    // Update simulation state
+    // Physics step and any images due; the readouts wait for the next rendered
+    // frame. Replays move the chart cursor over the recorded history instead of
+    // adding to it
     update(dt) {
-        this.simulationTime += dt;
+        const start = this.simulationTime;
+        super.update(dt);
+        this.readoutsDirty = true;
+        this.nutrientsDirty = true;
+        if (this.isRecording()) this.captureScheduled(start);
         
-        // Flow particles
-        this.flowParticles.forEach(p => {
-            p.x += p.speed * this.flowRate * 60 * dt;
-            if (p.x > 610) p.x = 190;
+        if (this.replay) {
+            this.followCursor();
+            if (this.simulationTime >= this.replay.until - 1e-9) this.finishReplay();
+        }
+    }
+    
+    // Transport, protocol and response readouts for the run as it is now
+    updateReadouts() {
+        this.readoutsDirty = false;
+        this.updateMetrics();
+        this.updateProtocolStatus();
+        this.updateResponseSummary();
+    }
+    
+    // Count cells in each response state per population
+    updateResponseSummary() {
+        const populations = [
+            { id: 'neuronResponse', cells: this.motorNeurons },
+            { id: 'axonResponse', cells: this.axons },
+            { id: 'schwannResponse', cells: this.schwannCells }
+        ];
+        populations.forEach(pop => {
+            const counts = { healthy: 0, stressed: 0, degenerating: 0 };
+            pop.cells.forEach(c => counts[c.response]++);
+            document.getElementById(pop.id).textContent =
+                `${counts.healthy} / ${counts.stressed} / ${counts.degenerating}`;
         });
+        const axons = this.meanAxonMetrics();
+        document.getElementById('axonLengthValue').textContent =
+            `${axons.length.toFixed(0)} µm (${axons.connected.toFixed(0)} connected) · ${(axons.integrity * 100).toFixed(0)}%` +
+            (axons.myelin === null ? '' : ` · ${(axons.myelin * 100).toFixed(0)}%`);
+        const viability = this.meanViability();
+        const lowest = this.nutrients.map(n => `${this.nutrientFields[n.id].gel.min().toFixed(0)} µM ${n.name.toLowerCase()}`);
+        document.getElementById('nutrientValue').textContent =
+            lowest.join(' · ') + (viability === null ? '' : ` · ${(viability * 100).toFixed(0)}%`);
+    }
+    
+    // Update the transport readouts in the tutorial panel
+    updateMetrics() {
+        const shown = this.displaySpecies;
+        const transport = this.transport[shown];
+        const reference = this.referenceConcentration(shown);
+        const gelConcentration = transport.gel.mean();
+        const neuronConcentration = this.neuronRowConcentration(shown);
+        const gel = Math.min(1, gelConcentration / reference);
+        const neurons = Math.min(1, neuronConcentration / reference);
+        document.getElementById('gelMetric').style.width = (gel * 100).toFixed(0) + '%';
+        document.getElementById('gelValue').textContent = gelConcentration.toFixed(2) + ' µM';
+        document.getElementById('neuronMetric').style.width = (neurons * 100).toFixed(0) + '%';
+        document.getElementById('neuronValue').textContent = neuronConcentration.toFixed(2) + ' µM';
+        document.getElementById('arrivalValue').textContent = transport.neuronArrivalTime === null
+            ? '—'
+            : this.formatDuration(transport.neuronArrivalTime);
         
-        // Drug front (steps 3+)
-        if (this.currentStep >= 3) {
-            // Update drug front position
-            this.drugFrontPosition = Math.min(1, this.drugFrontPosition + dt * 0.07 * this.flowRate);
-            
-            // Generate drug particles at inlet
-            if (Math.random() < 0.35 && this.drugParticles.length < 50) {
-                this.drugParticles.push({
-                    x: 185,
-                    y: this.layout.topChannelY + 12 + Math.random() * 20,
-                    speed: 0.5 + Math.random() * 0.3,
-                    size: 3.5
-                });
-                this.drugParticles.push({
-                    x: 185,
-                    y: this.layout.bottomChannelY + 12 + Math.random() * 20,
-                    speed: 0.5 + Math.random() * 0.3,
-                    size: 3.5
-                });
+        // Flow readouts, top / bottom channel
+        const set = (id, text) => document.getElementById(id).textContent = text;
+        const channels = ['top', 'bottom'];
+        const numbers = channels.map(name => this.flowNumbers(name));
+        set('velocityValue', channels.map(name => {
+            const u = this.meanVelocity(name);
+            return u >= 1000 ? (u / 1000).toFixed(2) + ' mm/s' : u.toFixed(0) + ' µm/s';
+        }).join(' / '));
+        set('transitValue', channels.map(name => this.transitText(name)).join(' / '));
+        set('reynoldsValue', numbers.map(n => n.reynolds < 0.01 ? n.reynolds.toExponential(1) : n.reynolds.toFixed(2)).join(' / '));
+        set('pecletValue', numbers.map(n => n.peclet.toFixed(0)).join(' / '));
+        set('dispersionValue', channels.map(name => this.dispersionCoefficient(name).toExponential(1)).join(' / ') + ' µm²/s');
+        set('regimeValue', Math.max(...numbers.map(n => n.reynolds)) < 2000 ? 'laminar' : 'turbulent');
+        
+        // Transverse gradient across the gel: now and at steady state
+        const gradient = this.transverseGradient();
+        set('gradientValue', `${gradient.current.toFixed(1)} (steady ${gradient.steady.toFixed(1)}) µM/mm`);
+        set('neuronSteadyValue', `${this.neuronRowConcentration(shown).toFixed(2)} (steady ${gradient.neuronSteady.toFixed(2)}) µM`);
+        
+        this.updateWashoutMetrics();
+    }
+    
+    // Front arrival of the displayed species at a channel outlet
+    transitText(name) {
+        const g = this.channelGeometry();
+        const u = this.meanVelocity(name);
+        const transport = this.transport[this.displaySpecies];
+        const channel = transport.channels[name];
+        if (transport.outletArrivalTimes[name] !== null) return `✓ ${transport.outletArrivalTimes[name].toFixed(1)} s`;
+        if (u === 0) return 'stopped';
+        if (channel.inlet > 0) return `in ${((1 - channel.frontPosition()) * g.length / u).toFixed(1)} s`;
+        return (g.length / u).toFixed(1) + ' s';
+    }
+    
+    // Washout readouts: clean front, residual drug and time to clear
+    updateWashoutMetrics() {
+        const state = this.washoutState;
+        const set = (id, text) => document.getElementById(id).textContent = text;
+        if (!state) {
+            ['washoutFrontValue', 'gelResidualValue', 'retainedValue', 'clearTimeValue'].forEach(id => set(id, '—'));
+            document.getElementById('gelResidualMetric').style.width = '0%';
+            return;
+        }
+        
+        const { gel, retained, worst } = this.washoutResidual();
+        const channels = this.transport[this.displaySpecies].channels;
+        document.getElementById('gelResidualMetric').style.width = (Math.min(1, gel) * 100).toFixed(0) + '%';
+        set('washoutFrontValue', ['top', 'bottom'].map(name =>
+            (channels[name].frontPosition() * 100).toFixed(0) + '%').join(' / ') + ' of channel');
+        set('gelResidualValue', (gel * 100).toFixed(1) + '%');
+        set('retainedValue', (retained * 100).toFixed(1) + '%');
+        
+        const target = this.clearanceTarget;
+        if (state.clearedTime !== null) {
+            set('clearTimeValue', `cleared in ${this.formatDuration(state.clearedTime)}`);
+        } else if (state.rate > 0 && worst > 0) {
+            // Exponential extrapolation of the slowest pool
+            const remaining = Math.log(worst / target) / state.rate;
+            set('clearTimeValue', `~${this.formatDuration(remaining)} to ${(target * 100).toFixed(0)}%`);
+        } else {
+            set('clearTimeValue', '…');
+        }
+    }
+    
+    recordHistory() {
+        const latest = this.history[this.history.length - 1];
+        super.recordHistory();
+        if (this.history[this.history.length - 1] !== latest) this.chartsDirty = true;
+    }
+    
+    // Lines shown in each chart; values read from a history sample (null = not recorded)
+    chartSeries() {
+        const sp = this.speciesById(this.displaySpecies);
+        const of = sample => sample.species[sp.id];
+        const gelHeight = this.gridNy * this.gridSize * this.umPerPx;
+        const ephys = this.electrophysiology;
+        const track = this.axons.reduce((acc, a) => acc + a.trackLength, 0) / Math.max(1, this.axons.length);
+        // Velocity is relative to the run's first conducted volley, which myelin sets
+        const first = this.history.find(s => s.ephys && s.ephys.velocity !== null);
+        return {
+            channelChart: {
+                max: this.referenceConcentration(sp.id),
+                unit: 'µM',
+                lines: [
+                    { label: 'Top', color: sp.color, value: s => of(s) ? of(s).top : null },
+                    { label: 'Bottom', color: sp.color, dash: [4, 3], value: s => of(s) ? of(s).bottom : null }
+                ]
+            },
+            gelChart: {
+                max: this.referenceConcentration(sp.id),
+                unit: 'µM',
+                lines: this.gelDepths.map((depth, i) => ({
+                    label: `${Math.round(depth * gelHeight)} µm`,
+                    color: this.depthColors[i],
+                    value: s => of(s) ? of(s).gel[i] : null
+                }))
+            },
+            responseChart: {
+                max: 1,
+                unit: '',
+                thresholds: Object.values(this.responseThresholds),
+                lines: [
+                    { label: 'Neurons', color: '#90EE90', value: s => s.response.neuron },
+                    { label: 'Axons', color: '#c8b478', value: s => s.response.axon },
+                    { label: 'Schwann', color: '#9ACD32', value: s => s.response.schwannCell },
+                    ...this.cellTypes.filter(t => this.cellsOf(t.id).length > 0).map(t => ({
+                        label: t.name, color: t.color, value: s => s.response[t.id] !== undefined ? s.response[t.id] : null
+                    }))
+                ]
+            },
+            axonChart: {
+                max: 1,
+                unit: '',
+                lines: [
+                    { label: 'Length', color: '#c8b478', value: s => s.axons ? s.axons.length / track : null },
+                    { label: 'Connected', color: '#90EE90', value: s => s.axons ? s.axons.connected / track : null },
+                    { label: 'Integrity', color: '#00d9ff', dash: [4, 3], value: s => s.axons ? s.axons.integrity : null },
+                    { label: 'Myelin', color: '#f5ebc8', dash: [2, 2], value: s => s.axons && s.axons.myelin !== undefined ? s.axons.myelin : null }
+                ]
+            },
+            nutrientChart: {
+                max: 1,
+                unit: '',
+                lines: [
+                    ...this.nutrients.flatMap(n => [
+                        { label: `${n.name} min`, color: n.color, value: s => s.nutrients ? s.nutrients[n.id].min / n.medium : null },
+                        { label: 'mean', color: n.color, dash: [4, 3], value: s => s.nutrients ? s.nutrients[n.id].mean / n.medium : null }
+                    ]),
+                    { label: 'Viability', color: '#90EE90', value: s => s.viability !== undefined ? s.viability : null }
+                ]
+            },
+            ephysChart: {
+                max: 1,
+                unit: '',
+                lines: [
+                    { label: 'Firing', color: '#90EE90', value: s => s.ephys ? s.ephys.rate / ephys.baselineRate : null },
+                    { label: 'CAP', color: '#ffd43b', value: s => s.ephys ? s.ephys.cap : null },
+                    { label: 'Velocity', color: '#00d9ff', value: s => s.ephys && s.ephys.velocity !== null ? s.ephys.velocity / first.ephys.velocity : null }
+                ]
+            }
+        };
+    }
+    
+    // Redraw every chart and the cursor readout
+    drawCharts() {
+        this.chartsDirty = false;
+        const series = this.chartSeries();
+        const latest = this.history.length > 0 ? this.history[this.history.length - 1].time : 0;
+        const span = Math.max(this.protocolDuration() * 60, latest, 1);
+        const cursor = this.chartCursor === null ? latest : Math.min(this.chartCursor, latest);
+        const sample = this.historyAt(cursor);
+        
+        Object.entries(series).forEach(([id, chart]) => {
+            this.drawChart(document.getElementById(id), chart, span, cursor);
+            document.getElementById(id + 'Legend').innerHTML = chart.lines.map(line => {
+                const value = sample ? line.value(sample) : null;
+                const text = value === null ? '—' : chart.unit ? `${value.toFixed(2)} ${chart.unit}` : `${(value * 100).toFixed(0)}%`;
+                return `<span><i style="background: ${line.color}"></i>${line.label} ${text}</span>`;
+            }).join('');
+        });
+        
+        document.getElementById('chartCursorValue').textContent =
+            (this.chartCursor === null ? 'Live · ' : 'Cursor · ') + this.formatClock(cursor);
+        document.getElementById('chartSpecies').textContent = this.speciesById(this.displaySpecies).name;
+    }
+    
+    // Plot one chart: phase boundaries, thresholds, lines and the time cursor
+    drawChart(canvas, chart, span, cursor) {
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width;
+        const h = canvas.height;
+        const pad = this.chartPadding;
+        const xOf = t => pad.left + t / span * (w - pad.left - pad.right);
+        const yOf = v => h - pad.bottom - Math.min(1.05, v / chart.max) * (h - pad.top - pad.bottom);
+        
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, w, h);
+        
+        // Phase boundaries
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        let phaseEnd = 0;
+        this.protocol.phases.forEach(phase => {
+            phaseEnd += phase.duration * 60;
+            ctx.beginPath();
+            ctx.moveTo(xOf(phaseEnd), pad.top);
+            ctx.lineTo(xOf(phaseEnd), h - pad.bottom);
+            ctx.stroke();
+        });
+        
+        // Axes and labels
+        ctx.strokeStyle = 'rgba(160, 160, 160, 0.5)';
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, h - pad.bottom);
+        ctx.lineTo(w - pad.right, h - pad.bottom);
+        ctx.stroke();
+        ctx.font = '9px Arial';
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'right';
+        ctx.fillText(chart.unit ? `${+chart.max.toPrecision(3)}` : '100%', pad.left - 3, pad.top + 8);
+        ctx.fillText('0', pad.left - 3, h - pad.bottom);
+        ctx.textAlign = 'center';
+        ctx.fillText(this.formatDuration(span), w - pad.right - 18, h - 4);
+        
+        // Response thresholds
+        (chart.thresholds || []).forEach(level => {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.setLineDash([2, 4]);
+            ctx.beginPath();
+            ctx.moveTo(pad.left, yOf(level));
+            ctx.lineTo(w - pad.right, yOf(level));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
+        
+        // At most one point per pixel column
+        const stride = Math.max(1, Math.floor(this.history.length / (w - pad.left - pad.right)));
+        ctx.lineWidth = 1.5;
+        chart.lines.forEach(line => {
+            ctx.strokeStyle = line.color;
+            ctx.setLineDash(line.dash || []);
+            ctx.beginPath();
+            let drawing = false;
+            for (let i = 0; i < this.history.length; i += stride) {
+                const sample = this.history[i];
+                const value = line.value(sample);
+                if (value === null) {
+                    drawing = false;
+                    continue;
+                }
+                if (drawing) ctx.lineTo(xOf(sample.time), yOf(value));
+                else ctx.moveTo(xOf(sample.time), yOf(value));
+                drawing = true;
+            }
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        
+        // Time cursor
+        ctx.strokeStyle = '#00d9ff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(xOf(cursor), pad.top);
+        ctx.lineTo(xOf(cursor), h - pad.bottom);
+        ctx.stroke();
+    }
+    
+    // Move the chart cursor to the time under the mouse
+    scrubCharts(canvas, e) {
+        if (this.history.length === 0) return;
+        const rect = canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * canvas.width / rect.width;
+        const latest = this.history[this.history.length - 1].time;
+        const span = Math.max(this.protocolDuration() * 60, latest, 1);
+        const pad = this.chartPadding;
+        const t = (x - pad.left) / (canvas.width - pad.left - pad.right) * span;
+        this.chartCursor = Math.min(Math.max(t, 0), latest);
+        this.chartsDirty = true;
+        this.drawCharts();
+    }
+    
+    // Redraw the electrophysiology panel on the latest recording
+    drawMea() {
+        this.meaShown = this.recording;
+        this.nextMeaDraw = performance.now() + 1000;
+        const r = this.recording;
+        document.getElementById('meaStatus').textContent = r
+            ? `${this.formatClock(r.time)} · ${r.rate.toFixed(1)} Hz · CAP ${(r.cap * 100).toFixed(0)}% · ` +
+              (r.velocity === null ? 'no conduction' : `${r.velocity.toFixed(2)} m/s`)
+            : 'No recording yet';
+        document.getElementById('meaTraceTitle').textContent = `Electrode ${this.layout.electrodes[this.selectedElectrode].id}`;
+        this.drawMeaArray(document.getElementById('meaCanvas'));
+        this.drawMeaTrace(document.getElementById('meaTrace'));
+    }
+    
+    // Every electrode's trace over the whole window, laid out as on the chip
+    drawMeaArray(canvas) {
+        const ctx = canvas.getContext('2d');
+        const columns = this.mea.columns;
+        const cellW = canvas.width / columns;
+        const cellH = canvas.height / this.mea.rows.length;
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'left';
+        ctx.lineWidth = 1;
+        
+        this.layout.electrodes.forEach((electrode, i) => {
+            const x = (i % columns) * cellW;
+            const y = Math.floor(i / columns) * cellH;
+            ctx.strokeStyle = i === this.selectedElectrode ? '#00d9ff' : 'rgba(255, 255, 255, 0.1)';
+            ctx.strokeRect(x + 1.5, y + 1.5, cellW - 3, cellH - 3);
+            ctx.fillStyle = '#888';
+            ctx.fillText(electrode.id, x + 5, y + 12);
+            if (this.recording) {
+                const trace = this.electrodeTrace(i);
+                ctx.strokeStyle = 'rgba(105, 219, 124, 0.8)';
+                this.plotTrace(ctx, trace, 0, trace.length, { x: x + 3, y: y + 3, w: cellW - 6, h: cellH - 6 }, 150);
+            }
+        });
+    }
+    
+    // Selected electrode over the whole window, the neurons' spike raster, and the
+    // evoked volley reaching each electrode of its column
+    drawMeaTrace(canvas) {
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width;
+        const h = canvas.height;
+        const left = 34;
+        const r = this.recording;
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, w, h);
+        ctx.font = '9px Arial';
+        ctx.fillStyle = '#888';
+        if (!r) {
+            ctx.textAlign = 'center';
+            ctx.fillText(`Recorded every ${this.electrophysiology.interval} s of experiment time`, w / 2, h / 2);
+            return;
+        }
+        
+        const p = this.electrophysiology;
+        const rate = this.mea.sampleRate;
+        const plotW = w - left - 6;
+        const xOf = t => left + t / p.window * plotW;
+        
+        // Whole window, stimulus marked
+        const trace = this.electrodeTrace(this.selectedElectrode);
+        ctx.strokeStyle = '#69db7c';
+        ctx.lineWidth = 1;
+        this.plotTrace(ctx, trace, 0, trace.length, { x: left, y: 4, w: plotW, h: 96 }, 150);
+        ctx.textAlign = 'right';
+        ctx.fillText('150 µV', left - 3, 12);
+        ctx.fillText('0', left - 3, 55);
+        ctx.fillText('spikes', left - 3, 140);
+        ctx.textAlign = 'left';
+        ctx.fillText('0', left, 112);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${p.window} ms`, w - 6, 112);
+        
+        // Spike raster, one row per neuron
+        const rowH = 40 / Math.max(1, r.spikes.length);
+        ctx.fillStyle = '#90EE90';
+        r.spikes.forEach((spikes, i) => spikes.forEach(t => ctx.fillRect(xOf(t), 118 + i * rowH, 1, Math.max(1, rowH - 1))));
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(xOf(p.stimulus), 4);
+        ctx.lineTo(xOf(p.stimulus), 158);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Evoked volley down the selected column, past the stimulus artefact
+        const column = this.selectedElectrode % this.mea.columns;
+        const from = Math.round((p.stimulus + 0.3) * rate);
+        const to = Math.round((p.stimulus + 20) * rate);
+        const box = { x: left, y: 168, w: plotW, h: 58 };
+        this.mea.rows.forEach((row, i) => {
+            const index = i * this.mea.columns + column;
+            ctx.strokeStyle = this.depthColors[i];
+            this.plotTrace(ctx, this.electrodeTrace(index), from, to, box, 60);
+            ctx.fillStyle = this.depthColors[i];
+            ctx.textAlign = 'left';
+            ctx.fillText(this.layout.electrodes[index].id, left + plotW - 70 + i * 18, 178);
+        });
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'right';
+        ctx.fillText('evoked', left - 3, 200);
+        ctx.textAlign = 'left';
+        ctx.fillText('stim', left, h - 4);
+        ctx.textAlign = 'right';
+        ctx.fillText('+20 ms', w - 6, h - 4);
+    }
+    
+    // Trace samples [from, to) in a box, ±range µV full height: a line when zoomed
+    // in, otherwise each pixel column's min-max envelope so no spike is lost
+    plotTrace(ctx, trace, from, to, box, range) {
+        const yOf = v => box.y + box.h / 2 - Math.max(-1, Math.min(1, v / range)) * box.h / 2;
+        const columns = Math.max(1, Math.floor(box.w));
+        const count = to - from;
+        ctx.beginPath();
+        if (count <= columns * 2) {
+            for (let i = from; i < to; i++) {
+                const x = box.x + (i - from) / (count - 1) * box.w;
+                if (i === from) ctx.moveTo(x, yOf(trace[i]));
+                else ctx.lineTo(x, yOf(trace[i]));
             }
+        } else {
+            for (let c = 0; c < columns; c++) {
+                const i0 = from + Math.floor(c * count / columns);
+                const i1 = from + Math.floor((c + 1) * count / columns);
+                let low = Infinity;
+                let high = -Infinity;
+                for (let i = i0; i < i1; i++) {
+                    low = Math.min(low, trace[i]);
+                    high = Math.max(high, trace[i]);
+                }
+                ctx.moveTo(box.x + c + 0.5, yOf(high));
+                ctx.lineTo(box.x + c + 0.5, yOf(low) + 0.5);
+            }
+        }
+        ctx.stroke();
+    }
+    
+    // Hand a generated file to the browser as a download
+    downloadFile(name, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    setSeed(seed) {
+        document.getElementById('seedInput').value = seed;
+        super.setSeed(seed);
+        this.renderCellEditor();
+        this.updateLegend();
+    }
+    
+    applyConfiguration(config) {
+        super.applyConfiguration(config);
+        document.getElementById('seedInput').value = this.seed;
+        this.renderGeometryEditor();
+        this.renderAxonEditor();
+        this.renderNutrientEditor();
+        this.renderCellEditor();
+        this.renderSpeciesEditor();
+        this.updateSweepNote();
+        this.updateLegend();
+        this.showResponseModel();
+    }
+    
+    // Saved states also remember the tutorial step
+    serializeState() {
+        const state = super.serializeState();
+        state.run.currentStep = this.currentStep;
+        return state;
+    }
+    
+    restoreState(state) {
+        super.restoreState(state);
+        this.showStep(state.run.currentStep || 0);
+        this.takeSnapshot('step', this.currentStep);
+        this.refreshRun();
+    }
+    
+    // Redraw every readout after the run state was replaced
+    refreshRun() {
+        this.showFlowRate();
+        this.renderProtocolEditor();
+        this.updateMetrics();
+        this.updateResponseSummary();
+        this.updateImagingStatus();
+        this.chartsDirty = true;
+        this.render();
+    }
+    
+    takeSnapshot(kind, index = null) {
+        super.takeSnapshot(kind, index);
+        this.updateRunTimeline();
+    }
+    
+    // Replays re-run recorded time as well
+    isRecording() {
+        return super.isRecording() && !this.replay;
+    }
+    
+    discardFuture() {
+        if (!super.discardFuture()) return false;
+        this.chartCursor = null;
+        this.chartsDirty = true;
+        return true;
+    }
+    
+    // The charts keep the whole recorded run, with the cursor at the snapshot's time
+    restoreSnapshot(snapshot) {
+        if (this.replay) this.endReplay();
+        super.restoreSnapshot(snapshot);
+        this.stepAccumulator = 0;
+        this.followCursor();
+        this.refreshRun();
+    }
+    
+    // Chart cursor at the current time when it lies inside the recorded history
+    followCursor() {
+        const sample = this.history[this.history.length - 1];
+        this.chartCursor = sample && this.simulationTime < sample.time ? this.simulationTime : null;
+        this.chartsDirty = true;
+    }
+    
+    seek(t, exact = true) {
+        if (this.isPlaying) this.togglePlay();
+        super.seek(t, exact);
+        if (exact) {
+            this.followCursor();
+            this.refreshRun();
+        }
+    }
+    
+    // Re-run the current phase from its start at the replay compression. The
+    // recorded run is kept; the replay ends on the recorded state where the phase ended.
+    replayPhase() {
+        const starts = this.snapshots.filter(snap => snap.kind === 'phase' && snap.time <= this.simulationTime + 1e-9);
+        const start = starts[starts.length - 1];
+        if (!start) return;
+        const next = this.snapshots.find(snap => snap.kind === 'phase' && snap.time > start.time + 1e-9);
+        const until = next ? next.time : this.recordedTime();
+        if (until <= start.time) return;
+        
+        this.restoreSnapshot(start);
+        this.replay = { until, compression: this.timeCompression };
+        this.setTimeCompression(parseFloat(document.getElementById('replayCompression').value));
+        document.getElementById('replayPhaseBtn').classList.add('active');
+        if (!this.isPlaying) this.togglePlay();
+    }
+    
+    // Stop replaying and go back to the run's own compression
+    endReplay() {
+        this.setTimeCompression(this.replay.compression);
+        this.replay = null;
+        document.getElementById('replayPhaseBtn').classList.remove('active');
+    }
+    
+    // Replay reached its end: pause on the recorded state at that time
+    finishReplay() {
+        const until = this.replay.until;
+        if (this.isPlaying) this.togglePlay();
+        this.endReplay();
+        const recorded = this.snapshots.find(snap => Math.abs(snap.time - until) < 1e-9);
+        if (recorded) this.restoreSnapshot(recorded);
+        else this.seek(until);
+    }
+    
+    // Timeline slider spans the recorded run
+    updateRunTimeline() {
+        const recorded = this.recordedTime();
+        const slider = document.getElementById('runTimeline');
+        slider.max = recorded;
+        slider.value = this.simulationTime;
+        document.getElementById('runTimelineLabel').textContent =
+            `${this.formatClock(this.simulationTime)} / ${this.formatClock(recorded)}`;
+    }
+    
+    // Sweep form: one row per sweepable parameter, ranges kept in this.sweepSpec
+    renderSweepEditor() {
+        this.updateSweepNote();
+        document.getElementById('sweepParams').innerHTML = Object.entries(ParameterSweep.parameters).map(([key, param]) => {
+            const range = this.sweepSpec.parameters[key];
+            return `
+            <tr data-key="${key}">
+                <td><input type="checkbox" data-field="enabled"${range.enabled ? ' checked' : ''}></td>
+                <td>${param.label} (${param.unit})</td>
+                <td><input type="number" data-field="min" step="any" value="${range.min}"></td>
+                <td><input type="number" data-field="max" step="any" value="${range.max}"></td>
+                <td><input type="number" data-field="steps" min="1" max="50" step="1" value="${range.steps}"></td>
+            </tr>`;
+        }).join('');
+        document.getElementById('sweepMetric').innerHTML = Object.entries(ParameterSweep.metrics).map(([key, metric]) =>
+            `<option value="${key}">${metric.label}</option>`).join('');
+        this.updateSweepCount();
+    }
+    
+    updateSweepNote() {
+        const target = ParameterSweep.targetSpecies(this);
+        document.getElementById('sweepNote').textContent =
+            `Runs the current scenario; drug parameters and metrics refer to ${target.name}.`;
+    }
+    
+    // Read one edited field of the sweep form
+    editSweepParameter(key, field, input) {
+        const range = this.sweepSpec.parameters[key];
+        if (field === 'enabled') {
+            range.enabled = input.checked;
+        } else {
+            const value = parseFloat(input.value);
+            if (field === 'steps' && value >= 1) range.steps = Math.min(50, Math.round(value));
+            else if (field !== 'steps' && value > 0) range[field] = value;
+        }
+        this.updateSweepCount();
+    }
+    
+    // Sweep as run by ParameterSweep: the enabled parameters and sampling settings
+    sweepSettings() {
+        const spec = this.sweepSpec;
+        return {
+            mode: document.getElementById('sweepMode').value,
+            samples: Math.max(2, Math.min(this.sweepRunLimit, parseInt(document.getElementById('sweepSamples').value, 10) || 2)),
+            seed: this.seed,
+            parameters: Object.entries(spec.parameters).filter(([key, range]) => range.enabled).map(([key, range]) => ({
+                key, min: Math.min(range.min, range.max), max: Math.max(range.min, range.max), steps: range.steps
+            }))
+        };
+    }
+    
+    // How many runs the form describes
+    updateSweepCount() {
+        const settings = this.sweepSettings();
+        const runs = settings.mode === 'random'
+            ? settings.samples
+            : settings.parameters.reduce((acc, p) => acc * p.steps, 1);
+        document.getElementById('sweepSamples').disabled = settings.mode !== 'random';
+        document.getElementById('runSweepBtn').textContent = `▶ Run ${runs} run${runs === 1 ? '' : 's'}`;
+        document.getElementById('runSweepBtn').disabled = settings.parameters.length === 0 || runs > this.sweepRunLimit;
+    }
+    
+    // Start a sweep in a worker; fall back to the page where workers cannot load
+    startSweep() {
+        this.cancelSweep();
+        const spec = this.sweepSettings();
+        const configuration = this.configuration();
+        this.sweep = {
+            spec,
+            runner: new ParameterSweep(configuration, spec),
+            results: [],
+            worker: null,
+            timer: null,
+            running: true,
+            startedAt: performance.now()
+        };
+        const keys = spec.parameters.map(p => p.key);
+        const options = keys.map(key => `<option value="${key}">${ParameterSweep.parameters[key].label}</option>`).join('');
+        document.getElementById('sweepX').innerHTML = options;
+        document.getElementById('sweepY').innerHTML = '<option value="">—</option>' + options;
+        document.getElementById('sweepX').value = keys[0];
+        document.getElementById('sweepY').value = keys[1] || '';
+        document.getElementById('cancelSweepBtn').disabled = false;
+        this.renderSweepResults();
+        
+        try {
+            const worker = new Worker('sweep-worker.js');
+            const sweep = this.sweep;
+            worker.onmessage = (e) => {
+                if (e.data.type === 'run') this.addSweepResult(e.data.result);
+                else this.finishSweep();
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                worker.terminate();
+                if (this.sweep === sweep && sweep.running) this.runSweepInPage();
+            };
+            worker.postMessage({ configuration, spec, start: 0 });
+            this.sweep.worker = worker;
+        } catch (err) {
+            // Pages opened from file:// may not start workers
+            this.runSweepInPage();
         }
+    }
+    
+    // One run per task, so the page repaints between runs
+    runSweepInPage() {
+        const sweep = this.sweep;
+        sweep.worker = null;
+        const next = () => {
+            if (this.sweep !== sweep || !sweep.running) return;
+            if (sweep.results.length >= sweep.runner.runs.length) {
+                this.finishSweep();
+                return;
+            }
+            this.addSweepResult(sweep.runner.run(sweep.results.length));
+            sweep.timer = setTimeout(next, 0);
+        };
+        sweep.timer = setTimeout(next, 0);
+    }
+    
+    cancelSweep() {
+        const sweep = this.sweep;
+        if (!sweep || !sweep.running) return;
+        sweep.running = false;
+        if (sweep.worker) sweep.worker.terminate();
+        clearTimeout(sweep.timer);
+        document.getElementById('cancelSweepBtn').disabled = true;
+        document.getElementById('sweepStatus').textContent =
+            `Cancelled after ${sweep.results.length} of ${sweep.runner.runs.length} runs`;
+    }
+    
+    addSweepResult(result) {
+        const sweep = this.sweep;
+        sweep.results.push(result);
+        document.getElementById('sweepStatus').textContent =
+            `Run ${sweep.results.length} of ${sweep.runner.runs.length}${sweep.worker ? '' : ' (in page)'}`;
+        this.renderSweepResults();
+    }
+    
+    finishSweep() {
+        const sweep = this.sweep;
+        sweep.running = false;
+        document.getElementById('cancelSweepBtn').disabled = true;
+        document.getElementById('sweepStatus').textContent =
+            `${sweep.results.length} runs in ${this.formatDuration((performance.now() - sweep.startedAt) / 1000)}`;
+    }
+    
+    // Results table, sensitivity table and heatmap
+    renderSweepResults() {
+        const sweep = this.sweep;
+        if (!sweep) return;
+        const params = sweep.spec.parameters.map(p => ParameterSweep.parameters[p.key]);
+        const metrics = Object.values(ParameterSweep.metrics);
+        const unit = u => u ? ` (${u})` : '';
+        const format = v => v === null ? '—' : +v.toPrecision(3);
+        
+        document.getElementById('sweepHead').innerHTML = `
+            <tr>
+                <th>#</th>
+                ${params.map(p => `<th>${p.label}${unit(p.unit)}</th>`).join('')}
+                ${metrics.map(m => `<th>${m.label}${unit(m.unit)}</th>`).join('')}
+                <th></th>
+            </tr>`;
+        document.getElementById('sweepRows').innerHTML = sweep.results.map(r => `
+            <tr data-index="${r.index}">
+                <td>${r.index + 1}</td>
+                ${sweep.spec.parameters.map(p => `<td>${format(r.values[p.key])}</td>`).join('')}
+                ${Object.keys(ParameterSweep.metrics).map(key => `<td>${format(r.metrics[key])}</td>`).join('')}
+                <td class="row-actions"><button data-action="load" title="Load into the chip view">↗</button></td>
+            </tr>
+        `).join('');
+        
+        const sensitivity = sweep.runner.sensitivity(sweep.results);
+        document.getElementById('sensitivityHead').innerHTML =
+            `<tr><th></th>${metrics.map(m => `<th>${m.label}</th>`).join('')}</tr>`;
+        document.getElementById('sensitivityRows').innerHTML = sweep.spec.parameters.map((p, i) => `
+            <tr>
+                <td>${params[i].label}</td>
+                ${Object.keys(ParameterSweep.metrics).map(key => {
+                    const rho = sensitivity[p.key][key];
+                    const shade = rho === null ? 'transparent' : `rgba(${rho > 0 ? '0, 217, 255' : '255, 107, 107'}, ${(Math.abs(rho) * 0.5).toFixed(2)})`;
+                    return `<td style="background: ${shade}">${rho === null ? '—' : rho.toFixed(2)}</td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+        
+        this.drawSweepHeatmap();
+    }
+    
+    // Metric over the chosen parameter pair. Grid runs fill cells (averaged over
+    // any other swept parameters); random samples are drawn as dots
+    drawSweepHeatmap() {
+        const canvas = document.getElementById('sweepHeatmap');
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width;
+        const h = canvas.height;
+        const pad = { left: 40, right: 8, top: 8, bottom: 28 };
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, w, h);
+        this.sweepPoints = [];
+        
+        const sweep = this.sweep;
+        if (!sweep || sweep.results.length === 0) return;
+        const metricKey = document.getElementById('sweepMetric').value;
+        const metric = ParameterSweep.metrics[metricKey];
+        const xKey = document.getElementById('sweepX').value;
+        const yKey = document.getElementById('sweepY').value;
+        const spec = key => sweep.spec.parameters.find(p => p.key === key);
+        const xSpec = spec(xKey);
+        const ySpec = yKey ? spec(yKey) : null;
+        
+        const values = sweep.results.map(r => r.metrics[metricKey]).filter(v => v !== null);
+        const low = values.length > 0 ? Math.min(...values) : 0;
+        const high = values.length > 0 ? Math.max(...values) : 1;
+        const colorOf = v => v === null ? '#444' : this.heatColor(high > low ? (v - low) / (high - low) : 0.5);
+        const fraction = (p, v) => p.max > p.min ? (v - p.min) / (p.max - p.min) : 0.5;
+        const plotW = w - pad.left - pad.right;
+        const plotH = h - pad.top - pad.bottom;
+        
+        if (sweep.spec.mode === 'grid') {
+            const levels = p => p ? [...new Set(sweep.runner.runs.map(run => run[p.key]))].sort((a, b) => a - b) : [null];
+            const xs = levels(xSpec);
+            const ys = levels(ySpec);
+            const cellW = plotW / xs.length;
+            const cellH = plotH / ys.length;
+            xs.forEach((x, i) => ys.forEach((y, j) => {
+                const runs = sweep.results.filter(r => r.values[xKey] === x && (!ySpec || r.values[yKey] === y));
+                if (runs.length === 0) return;
+                const reached = runs.filter(r => r.metrics[metricKey] !== null);
+                const mean = reached.length === 0
+                    ? null
+                    : reached.reduce((acc, r) => acc + r.metrics[metricKey], 0) / reached.length;
+                const cx = pad.left + i * cellW;
+                const cy = pad.top + (ys.length - 1 - j) * cellH;
+                ctx.fillStyle = colorOf(mean);
+                ctx.fillRect(cx + 1, cy + 1, cellW - 2, cellH - 2);
+                this.sweepPoints.push({ x: cx + cellW / 2, y: cy + cellH / 2, index: runs[0].index });
+            }));
+        } else {
+            sweep.results.forEach(r => {
+                const x = pad.left + fraction(xSpec, r.values[xKey]) * plotW;
+                const y = ySpec ? pad.top + (1 - fraction(ySpec, r.values[yKey])) * plotH : pad.top + plotH / 2;
+                ctx.fillStyle = colorOf(r.metrics[metricKey]);
+                ctx.beginPath();
+                ctx.arc(x, y, 5, 0, Math.PI * 2);
+                ctx.fill();
+                this.sweepPoints.push({ x, y, index: r.index });
+            });
+        }
+        
+        // Axis ranges and labels
+        const xParam = ParameterSweep.parameters[xKey];
+        ctx.font = '9px Arial';
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${+xSpec.min.toPrecision(3)}`, pad.left, h - pad.bottom + 11);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${+xSpec.max.toPrecision(3)}`, w - pad.right, h - pad.bottom + 11);
+        ctx.textAlign = 'center';
+        ctx.fillText(`${xParam.label} (${xParam.unit})`, pad.left + plotW / 2, h - 4);
+        if (ySpec) {
+            const yParam = ParameterSweep.parameters[yKey];
+            ctx.textAlign = 'right';
+            ctx.fillText(`${+ySpec.max.toPrecision(3)}`, pad.left - 3, pad.top + 8);
+            ctx.fillText(`${+ySpec.min.toPrecision(3)}`, pad.left - 3, h - pad.bottom);
+            ctx.save();
+            ctx.translate(10, pad.top + plotH / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.textAlign = 'center';
+            ctx.fillText(`${yParam.label} (${yParam.unit})`, 0, 0);
+            ctx.restore();
+        }
+        
+        const unit = metric.unit ? ` ${metric.unit}` : '';
+        document.getElementById('sweepHeatmapLegend').innerHTML = `
+            <span><span class="sweep-ramp"></span>${metric.label}: ${+low.toPrecision(3)} – ${+high.toPrecision(3)}${unit}</span>
+            <span><span class="species-dot" style="background: #444"></span>not reached</span>`;
+    }
+    
+    // Clicking the heatmap loads the run under the mouse
+    pickSweepRun(e) {
+        if (!this.sweepPoints || this.sweepPoints.length === 0) return;
+        const canvas = e.target;
+        const rect = canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * canvas.width / rect.width;
+        const y = (e.clientY - rect.top) * canvas.height / rect.height;
+        const nearest = this.sweepPoints.reduce((best, p) =>
+            Math.hypot(p.x - x, p.y - y) < Math.hypot(best.x - x, best.y - y) ? p : best);
+        this.loadSweepRun(nearest.index);
+    }
+    
+    // Put one sweep run into the chip view at t = 0; playing it reproduces the run
+    loadSweepRun(index) {
+        const sweep = this.sweep;
+        const values = sweep.runner.runs[index];
+        this.applyConfiguration(sweep.runner.prepare(values).configuration());
+        document.getElementById('sweepStatus').textContent = `Loaded run ${index + 1} — press Play to replay it`;
+    }
+    
+    // Sweep table as CSV: parameter values and metrics per run
+    sweepCsv() {
+        const sweep = this.sweep;
+        const keys = sweep.spec.parameters.map(p => p.key);
+        const metrics = Object.keys(ParameterSweep.metrics);
+        const lines = [
+            `# lab-on-chip parameter sweep (${sweep.spec.mode}, seed ${sweep.spec.seed}, ${this.physicsStep} s steps)`,
+            this.csvRow(['run', ...keys, ...metrics])
+        ];
+        sweep.results.forEach(r => lines.push(this.csvRow([
+            r.index + 1, ...keys.map(key => r.values[key]), ...metrics.map(key => r.metrics[key] === null ? '' : r.metrics[key])
+        ])));
+        return lines.join('\n') + '\n';
+    }
+    
+    // Imaging channels: one tracer per compound, then the stains. Settings are
+    // kept per source, so they survive compound edits
+    imagingChannels() {
+        const sources = [
+            ...this.species.map((sp, i) => ({
+                key: `species:${sp.id}`, label: `${sp.name} (tracer)`,
+                color: i === 0 ? '#33ff66' : sp.color, exposure: 300, enabled: i === 0
+            })),
+            ...Object.entries(this.fluorescenceStains).map(([key, stain]) => ({
+                key, label: stain.label, color: stain.color, exposure: stain.exposure, enabled: key !== 'schwann'
+            }))
+        ];
+        return sources.map(source => {
+            if (!this.imaging.channels[source.key]) {
+                const { enabled, color, exposure } = source;
+                this.imaging.channels[source.key] = { enabled, color, exposure };
+            }
+            return { key: source.key, label: source.label, ...this.imaging.channels[source.key] };
+        });
+    }
+    
+    // Imaging panel: channel table, optics and schedule
+    renderImagingEditor() {
+        document.getElementById('imagingChannels').innerHTML = this.imagingChannels().map(ch => `
+            <tr data-key="${ch.key}">
+                <td><input type="checkbox" data-field="enabled"${ch.enabled ? ' checked' : ''}></td>
+                <td>${this.escapeHtml(ch.label)}</td>
+                <td><input type="color" data-field="color" value="${ch.color}"></td>
+                <td><input type="number" data-field="exposure" min="1" max="5000" step="10" value="${ch.exposure}"></td>
+            </tr>
+        `).join('');
+        document.getElementById('imagingBlur').value = this.imaging.blur;
+        document.getElementById('imagingNoise').checked = this.imaging.noise;
+        document.getElementById('imagingSchedule').value = this.imaging.schedule.join(', ');
+        this.renderGallery();
+    }
+    
+    // Read one edited field of the channel table
+    editImagingChannel(key, field, input) {
+        const channel = this.imaging.channels[key];
+        const value = parseFloat(input.value);
+        if (field === 'enabled') channel.enabled = input.checked;
+        else if (field === 'color') channel.color = input.value;
+        else if (value > 0) channel.exposure = Math.min(5000, value);
+        else input.value = channel.exposure;
+        this.render();
+    }
+    
+    // Blur (µm) and camera noise
+    editImagingOptics() {
+        const blur = parseFloat(document.getElementById('imagingBlur').value);
+        if (blur >= 0) this.imaging.blur = Math.min(100, blur);
+        document.getElementById('imagingBlur').value = this.imaging.blur;
+        this.imaging.noise = document.getElementById('imagingNoise').checked;
+        this.render();
+    }
+    
+    // Imaging time points (min) from a comma-separated list
+    setImagingSchedule(text) {
+        const times = text.split(/[\s,;]+/).map(parseFloat).filter(t => t >= 0);
+        this.imaging.schedule = [...new Set(times)].sort((a, b) => a - b);
+        document.getElementById('imagingSchedule').value = this.imaging.schedule.join(', ');
+        this.updateImagingStatus();
+    }
+    
+    // An image at the end of every protocol phase
+    scheduleAtPhaseEnds() {
+        let end = 0;
+        this.setImagingSchedule(this.protocol.phases.map(phase => end += phase.duration).join(', '));
+    }
+    
+    // Capture the images scheduled since the step that began at start (s)
+    captureScheduled(start) {
+        this.imaging.schedule.filter(t => (t * 60 > start + 1e-9 || start === 0 && t === 0) &&
+            t * 60 <= this.simulationTime + 1e-9).forEach(() => this.captureImage());
+    }
+    
+    // Snap the fluorescence view at the current time into the gallery
+    captureImage() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+        const ctx = canvas.getContext('2d');
+        const channels = this.drawFluorescence(ctx);
+        this.drawClock(ctx);
+        this.drawScaleBar(ctx);
         
-        // Update drug particles
-        this.drugParticles.forEach(p => {
-            p.x += p.speed * this.flowRate * 70 * dt;
+        this.gallery.push({
+            time: this.simulationTime,
+            phase: this.currentPhase().name,
+            channels: channels.map(ch => `${ch.label.replace(/ \(.*\)$/, '')} ${ch.exposure} ms`).join(', '),
+            url: canvas.toDataURL('image/png')
         });
-        this.drugParticles = this.drugParticles.filter(p => p.x < 615);
-        
-        // Diffusion (steps 5+)
-        if (this.currentStep >= 5) {
-            this.diffusionLevel = Math.min(1, this.diffusionLevel + dt * 0.035);
-            
-            // Update diffusion particles
-            this.diffusionParticles.forEach(p => {
-                const dir = p.direction;
-                if ((dir > 0 && p.y < p.targetY) || (dir < 0 && p.y > p.targetY)) {
-                    p.y += dir * p.speed * 45 * dt;
-                }
-                p.x += (Math.random() - 0.5) * 20 * dt;
-            });
-            
-            // Remove particles that reached target
-            const rate = dt * 0.07 * this.diffusionLevel;
-            this.motorNeurons.forEach(n => n.drugExposure = Math.min(1, n.drugExposure + rate));
-            this.axons.forEach(a => a.drugExposure = Math.min(1, a.drugExposure + rate * 0.7));
-            this.schwannCells.forEach(s => s.drugExposure = Math.min(1, s.drugExposure + rate * 0.5));
-        }
-        
-        // Washout
-        if (this.currentStep === 7 && this.simulationTime > 5) {
-            this.diffusionLevel = Math.max(0, this.diffusionLevel - dt * 0.06);
-            this.motorNeurons.forEach(n => n.drugExposure = Math.max(0, n.drugExposure - dt * 0.03));
-            this.schwannCells.forEach(s => s.drugExposure = Math.max(0, s.drugExposure - dt * 0.03));
+        this.renderGallery();
+    }
+    
+    // Gallery thumbnails; each one links to its PNG
+    renderGallery() {
+        document.getElementById('imageGallery').innerHTML = this.gallery.map((image, i) => `
+            <figure data-index="${i}">
+                <a href="${image.url}" download="chip-${this.formatClock(image.time).replace(/:/g, '-').replace(/ /g, '')}.png" title="Download PNG">
+                    <img src="${image.url}" alt="Fluorescence image at T+ ${this.formatClock(image.time)}">
+                </a>
+                <figcaption>
+                    <button data-action="remove" title="Remove">✕</button>
+                    T+ ${this.formatClock(image.time)} · ${this.escapeHtml(image.phase)}
+                    <small>${this.escapeHtml(image.channels)}</small>
+                </figcaption>
+            </figure>
+        `).join('');
+        this.updateImagingStatus();
+    }
+    
+    // Image count and the next scheduled time point
+    updateImagingStatus() {
+        const next = this.imaging.schedule.find(t => t * 60 > this.simulationTime + 1e-9);
+        const count = `${this.gallery.length} image${this.gallery.length === 1 ? '' : 's'}`;
+        document.getElementById('imagingStatus').textContent = next !== undefined
+            ? `${count} · next at T+ ${this.formatClock(next * 60)}`
+            : count;
+    }
+    
+    // Link that opens this scenario: the configuration as base64url JSON in the hash
+    shareLink() {
+        const bytes = new TextEncoder().encode(JSON.stringify(this.configuration(true)));
+        let binary = '';
+        bytes.forEach(b => binary += String.fromCharCode(b));
+        const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return location.href.split('#')[0] + '#config=' + encoded;
+    }
+    
+    // Open the scenario carried by a shared link, if any
+    loadSharedConfiguration() {
+        const match = location.hash.match(/^#config=([A-Za-z0-9_-]+)$/);
+        if (!match) return;
+        try {
+            const binary = atob(match[1].replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            this.applyConfiguration(JSON.parse(new TextDecoder().decode(bytes)));
+            this.showSessionStatus('Opened shared scenario');
+        } catch (err) {
+            this.showSessionStatus(`Could not open shared link: ${err.message}`);
         }
     }
     
+    showSessionStatus(message) {
+        document.getElementById('sessionStatus').textContent = message;
+    }
+    
     // Render the entire simulation
     render() {
         const ctx = this.ctx;
@@ -504,20 +2468,40 @@ class LabOnChipSimulation {
         ctx.fillStyle = '#1a1a2e';
         ctx.fillRect(0, 0, w, h);
         
-        this.drawChipBase(ctx);
-        this.drawChannelConnections(ctx);
-        this.drawMediumChannels(ctx);
-        this.drawHydrogel(ctx);
-        this.drawAxons(ctx);
-        this.drawSchwannCells(ctx);
-        this.drawMotorNeurons(ctx);
-        this.drawFlowParticles(ctx);
-        this.drawDrugParticles(ctx);
-        this.drawDiffusionParticles(ctx);
-        this.drawReservoirs(ctx);
-        this.drawHydrogelPort(ctx);
-        this.drawLabels(ctx);
-        this.drawHighlight(ctx);
+        if (this.viewMode === 'fluorescence') {
+            this.drawFluorescence(ctx, !this.isPlaying || performance.now() >= this.nextCameraFrame);
+            this.drawClock(ctx);
+            this.drawScaleBar(ctx);
+        } else {
+            this.drawChipBase(ctx);
+            this.drawChannelConnections(ctx);
+            this.drawMediumChannels(ctx);
+            this.drawHydrogel(ctx);
+            this.drawElectrodes(ctx);
+            this.drawPosts(ctx);
+            this.drawUnderlay(ctx);
+            this.drawGelProfile(ctx);
+            this.drawSchwannCells(ctx);
+            this.drawAxons(ctx);
+            this.drawOtherCells(ctx);
+            this.drawMotorNeurons(ctx);
+            this.drawFlowParticles(ctx);
+            this.drawDrugParticles(ctx);
+            this.drawDiffusionParticles(ctx);
+            this.drawReservoirs(ctx);
+            this.drawHydrogelPort(ctx);
+            this.drawLabels(ctx);
+            this.drawClock(ctx);
+            this.drawScaleBar(ctx);
+            this.drawHighlight(ctx);
+            this.drawUnderlayMarks(ctx);
+            this.drawCellDrag(ctx);
+        }
+        
+        if (this.chartsDirty) this.drawCharts();
+        if (this.readoutsDirty) this.updateReadouts();
+        if (this.nutrientsDirty) this.updateNutrientStatus();
+        if (this.recording !== this.meaShown && (!this.isPlaying || performance.now() >= this.nextMeaDraw)) this.drawMea();
     }
     
     // Render the entire simulation
@@ -526,8 +2510,9 @@ class LabOnChipSimulation {
         ctx.fillStyle = 'rgba(40, 44, 62, 0.6)';
         ctx.strokeStyle = '#444466';
         ctx.lineWidth = 2;
+        const chip = this.layout.chip;
         ctx.beginPath();
-        this.roundRect(ctx, 95, 55, 630, 400, 12);
+        this.roundRect(ctx, chip.x, chip.y, chip.w, chip.h, 12);
         ctx.fill();
         ctx.stroke();
     }
@@ -535,104 +2520,393 @@ class LabOnChipSimulation {
     // Render the entire simulation
     drawChannelConnections(ctx) {
         // Connections between reservoirs and channels - darker
+        const L = this.layout;
+        const r = L.reservoirRadius;
         ctx.fillStyle = '#3a3a5a';
-        ctx.fillRect(145, this.layout.topChannelY + 15, 35, 15);
-        ctx.fillRect(620, this.layout.topChannelY + 15, 35, 15);
-        ctx.fillRect(145, this.layout.bottomChannelY + 15, 35, 15);
-        ctx.fillRect(620, this.layout.bottomChannelY + 15, 35, 15);
+        L.reservoirs.forEach(res => {
+            const x0 = res.inlet ? res.x + r - 2 : L.channelEndX;
+            const x1 = res.inlet ? L.channelStartX : res.x - r + 2;
+            ctx.fillRect(x0, res.y - 7.5, x1 - x0, 15);
+        });
         // Hydrogel port connection
-        ctx.fillRect(130, 238, 50, 8);
+        ctx.fillRect(L.port.x + L.port.r + 2, L.port.y - 4, L.channelStartX - L.port.x - L.port.r - 2, 8);
     }
     
-    // Render the entire simulation
+    // Render the medium channels from the 1D transport model
     drawMediumChannels(ctx) {
         const L = this.layout;
         const channelWidth = L.channelEndX - L.channelStartX;
         
-        // Top channel - darker blue for dark theme
-        ctx.fillStyle = '#4a90d9';
-        ctx.beginPath();
-        this.roundRect(ctx, L.channelStartX, L.topChannelY, channelWidth, L.channelHeight, 3);
-        ctx.fill();
+        this.drawChannel(ctx, 'top', L.topChannelY);
+        this.drawChannel(ctx, 'bottom', L.bottomChannelY);
         
-        // Drug gradient overlay on top channel
-        if (this.drugFrontPosition > 0) {
-            const drugWidth = channelWidth * this.drugFrontPosition;
-            const gradient = ctx.createLinearGradient(L.channelStartX, 0, L.channelStartX + drugWidth, 0);
-            gradient.addColorStop(0, 'rgba(255, 50, 50, 0.9)');
-            gradient.addColorStop(0.7, 'rgba(255, 80, 80, 0.7)');
-            gradient.addColorStop(1, 'rgba(255, 100, 100, 0.4)');
-            ctx.fillStyle = gradient;
+        // Rounded channel outline over the concentration image
+        ctx.strokeStyle = 'rgba(74, 144, 217, 0.8)';
+        ctx.lineWidth = 1;
+        [L.topChannelY, L.bottomChannelY].forEach(y => {
             ctx.beginPath();
-            this.roundRect(ctx, L.channelStartX, L.topChannelY, drugWidth, L.channelHeight, 3);
-            ctx.fill();
+            this.roundRect(ctx, L.channelStartX, y, channelWidth, L.channelHeight, 3);
+            ctx.stroke();
+        });
+    }
+    
+    // Paint one channel: each streamline sees the averaged profile shifted by its
+    // Poiseuille lead or lag, which transverse diffusion limits to ~w²/(π²D)
+    drawChannel(ctx, name, y) {
+        const L = this.layout;
+        const data = this.channelImage.data;
+        const width = L.channelHeight * this.umPerPx;
+        const u = this.meanVelocity(name);
+        const layers = this.species.map(sp => {
+            const channel = this.transport[sp.id].channels[name];
+            const mixingTime = width * width / (Math.PI * Math.PI * sp.diffusivity);
+            return {
+                channel,
+                rgb: this.hexToRgb(sp.color),
+                scale: this.referenceConcentration(sp.id),
+                shear: u * mixingTime * (1 - Math.exp(-channel.frontAge / mixingTime))
+            };
+        });
+        
+        // Medium blue, blended towards each species' colour by its concentration
+        for (let row = 0; row < this.channelRows; row++) {
+            const eta = (row + 0.5) / this.channelRows - 0.5;
+            const profile = 1.5 * (1 - 4 * eta * eta) - 1;
+            for (let i = 0; i < this.gridNx; i++) {
+                let r = 74, g = 144, b = 217;
+                layers.forEach(layer => {
+                    const lead = profile * layer.shear / layer.channel.dx;
+                    const t = 0.9 * Math.min(1, layer.channel.sample(i + 0.5 - lead) / layer.scale);
+                    r += (layer.rgb[0] - r) * t;
+                    g += (layer.rgb[1] - g) * t;
+                    b += (layer.rgb[2] - b) * t;
+                });
+                const k = (row * this.gridNx + i) * 4;
+                data[k] = r;
+                data[k + 1] = g;
+                data[k + 2] = b;
+                data[k + 3] = 255;
+            }
         }
+        this.channelCtx.putImageData(this.channelImage, 0, 0);
         
-        // Bottom channel - darker blue
-        ctx.fillStyle = '#4a90d9';
+        ctx.save();
         ctx.beginPath();
-        this.roundRect(ctx, L.channelStartX, L.bottomChannelY, channelWidth, L.channelHeight, 3);
-        ctx.fill();
+        this.roundRect(ctx, L.channelStartX, y, L.channelEndX - L.channelStartX, L.channelHeight, 3);
+        ctx.clip();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.channelCanvas, L.channelStartX, y, L.channelEndX - L.channelStartX, L.channelHeight);
         
-        // Drug gradient overlay on bottom channel
-        if (this.drugFrontPosition > 0) {
-            const drugWidth = channelWidth * this.drugFrontPosition;
-            const gradient = ctx.createLinearGradient(L.channelStartX, 0, L.channelStartX + drugWidth, 0);
-            gradient.addColorStop(0, 'rgba(255, 50, 50, 0.9)');
-            gradient.addColorStop(0.7, 'rgba(255, 80, 80, 0.7)');
-            gradient.addColorStop(1, 'rgba(255, 100, 100, 0.4)');
-            ctx.fillStyle = gradient;
+        // Mark the clean-medium front chasing the displayed species out of the channel
+        const channel = this.transport[this.displaySpecies].channels[name];
+        const front = channel.frontPosition();
+        if (channel.inlet < channel.previousInlet && front > 0 && front < 1) {
+            const fx = L.channelStartX + front * (L.channelEndX - L.channelStartX);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([4, 3]);
             ctx.beginPath();
-            this.roundRect(ctx, L.channelStartX, L.bottomChannelY, drugWidth, L.channelHeight, 3);
-            ctx.fill();
+            ctx.moveTo(fx, y);
+            ctx.lineTo(fx, y + L.channelHeight);
+            ctx.stroke();
+            ctx.setLineDash([]);
         }
+        ctx.restore();
     }
     
-    // Render the entire simulation
+    // Render the hydrogel as a concentration heatmap, darkened where a nutrient
+    // is below its starvation threshold
     drawHydrogel(ctx) {
         const L = this.layout;
+        const data = this.heatmapImage.data;
+        const layers = this.species.map(sp => ({
+            values: this.transport[sp.id].gel.values,
+            rgb: this.hexToRgb(sp.color),
+            scale: this.referenceConcentration(sp.id)
+        }));
+        const nutrients = this.nutrients.map(n => ({ values: this.nutrientFields[n.id].gel.values, threshold: n.threshold }));
         
-        // Pink hydrogel
-        ctx.fillStyle = '#FFB6C1';
-        ctx.fillRect(L.channelStartX, L.hydrogelY, L.channelEndX - L.channelStartX, L.hydrogelHeight);
-        
-        // Diffusion gradient overlay
-        if (this.diffusionLevel > 0) {
-            const alpha = this.diffusionLevel * 0.45;
-            // Render top diffusion gradient
-            const gt = ctx.createLinearGradient(0, L.hydrogelY, 0, L.hydrogelY + L.hydrogelHeight * 0.5);
-            gt.addColorStop(0, `rgba(255, 90, 90, ${alpha})`);
-            gt.addColorStop(1, 'rgba(255, 90, 90, 0)');
-            ctx.fillStyle = gt;
-            ctx.fillRect(L.channelStartX, L.hydrogelY, L.channelEndX - L.channelStartX, L.hydrogelHeight * 0.5);
-            
-            // Render bottom diffusion gradient
-            const gb = ctx.createLinearGradient(0, L.hydrogelY + L.hydrogelHeight, 0, L.hydrogelY + L.hydrogelHeight * 0.5);
-            gb.addColorStop(0, `rgba(255, 90, 90, ${alpha})`);
-            gb.addColorStop(1, 'rgba(255, 90, 90, 0)');
-            ctx.fillStyle = gb;
-            ctx.fillRect(L.channelStartX, L.hydrogelY + L.hydrogelHeight * 0.5, L.channelEndX - L.channelStartX, L.hydrogelHeight * 0.5);
+        // Pink gel blended towards each species' colour by its local concentration
+        for (let k = 0; k < this.gridNx * this.gridNy; k++) {
+            let r = 255, g = 182, b = 193;
+            layers.forEach(layer => {
+                const t = 0.85 * Math.min(1, Math.max(0, layer.values[k] / layer.scale));
+                r += (layer.rgb[0] - r) * t;
+                g += (layer.rgb[1] - g) * t;
+                b += (layer.rgb[2] - b) * t;
+            });
+            let deficit = 0;
+            for (let i = 0; i < nutrients.length; i++) {
+                deficit = Math.max(deficit, 1 - nutrients[i].values[k] / nutrients[i].threshold);
+            }
+            if (deficit > 0) {
+                const t = 0.3 + 0.4 * deficit;
+                r += (60 - r) * t;
+                g += (30 - g) * t;
+                b += (90 - b) * t;
+            }
+            data[k * 4] = r;
+            data[k * 4 + 1] = g;
+            data[k * 4 + 2] = b;
+            data[k * 4 + 3] = 255;
+        }
+        this.heatmapCtx.putImageData(this.heatmapImage, 0, 0);
+        
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.heatmapCanvas, L.channelStartX, L.hydrogelY, L.channelEndX - L.channelStartX, L.hydrogelHeight);
+        ctx.restore();
+    }
+    
+    // Render the PDMS posts over the gel edges
+    drawPosts(ctx) {
+        const L = this.layout;
+        const px = um => um / this.umPerPx;
+        ctx.fillStyle = 'rgba(58, 58, 90, 0.95)';
+        ctx.strokeStyle = 'rgba(140, 140, 180, 0.6)';
+        ctx.lineWidth = 1;
+        this.posts.forEach(post => {
+            const x = L.channelStartX + px(post.x);
+            const y = L.hydrogelY + px(post.y);
+            const size = px(post.size);
+            // Edge facing the channel, and the far edge inside the gel
+            const near = post.side === 'top' ? y : y + size;
+            const far = post.side === 'top' ? y + size : y;
+            ctx.beginPath();
+            switch (this.geometry.postShape) {
+                case 'round':
+                    ctx.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+                    break;
+                case 'triangle':
+                    ctx.moveTo(x, near);
+                    ctx.lineTo(x + size, near);
+                    ctx.lineTo(x + size / 2, far);
+                    ctx.closePath();
+                    break;
+                default:
+                    ctx.rect(x, y, size, size);
+            }
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+    
+    // Render the microscope image over the chip structure and under the cells,
+    // with the channel and gel outline dashed over it for alignment
+    drawUnderlay(ctx) {
+        const U = this.underlay;
+        if (!U || !U.visible) return;
+        const L = this.layout;
+        const s = U.umPerPixel / this.umPerPx;
+        ctx.save();
+        ctx.globalAlpha = U.opacity;
+        ctx.translate(L.channelStartX + U.x / this.umPerPx, L.hydrogelY + U.y / this.umPerPx);
+        ctx.rotate(U.rotation * Math.PI / 180);
+        ctx.scale(s, s);
+        ctx.drawImage(U.image, 0, 0);
+        ctx.restore();
+        
+        const bottom = L.bottomChannelY + L.channelHeight;
+        ctx.strokeStyle = 'rgba(0, 217, 255, 0.7)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        [L.topChannelY, L.hydrogelY, L.bottomChannelY, bottom].forEach(y => {
+            ctx.moveTo(L.channelStartX, y);
+            ctx.lineTo(L.channelEndX, y);
+        });
+        [L.channelStartX, L.channelEndX].forEach(x => {
+            ctx.moveTo(x, L.topChannelY);
+            ctx.lineTo(x, bottom);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    // Render the calibration points and the marked cells of the underlay
+    drawUnderlayMarks(ctx) {
+        const U = this.underlay;
+        if (!U || !U.visible) return;
+        const colors = Object.fromEntries(this.populations().map(pop => [pop.kind, pop.color]));
+        ctx.lineWidth = 1.5;
+        U.marks.forEach(m => {
+            const at = this.underlayToCanvas(m.u, m.v);
+            ctx.strokeStyle = colors[m.kind] || '#ffffff';
+            ctx.beginPath();
+            ctx.arc(at.x, at.y, 5, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        
+        const points = U.calibration.map(p => this.underlayToCanvas(p.u, p.v));
+        ctx.strokeStyle = '#00d9ff';
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            ctx.moveTo(p.x - 5, p.y);
+            ctx.lineTo(p.x + 5, p.y);
+            ctx.moveTo(p.x, p.y - 5);
+            ctx.lineTo(p.x, p.y + 5);
+            if (i === 1) {
+                ctx.moveTo(points[0].x, points[0].y);
+                ctx.lineTo(p.x, p.y);
+            }
+        });
+        ctx.stroke();
+        if (points.length === 2) {
+            ctx.font = '9px Arial';
+            ctx.fillStyle = '#00d9ff';
+            ctx.textAlign = 'center';
+            ctx.fillText(`${document.getElementById('calibrationDistance').value} µm`,
+                (points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2 - 6);
+        }
+    }
+    
+    // Dashed outline where the dragged cell will be dropped, tied to where it is now
+    drawCellDrag(ctx) {
+        const drag = this.cellDrag;
+        if (!drag || drag.x === null) return;
+        const cell = this.cellsOf(drag.kind)[drag.index];
+        if (!cell) return;
+        const pop = this.populations().find(p => p.kind === drag.kind);
+        ctx.save();
+        ctx.strokeStyle = pop ? pop.color : '#ffffff';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(cell.x, cell.y);
+        ctx.lineTo(drag.x, drag.y);
+        ctx.moveTo(drag.x + 8, drag.y);
+        ctx.arc(drag.x, drag.y, 8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    // Render the displayed species' transverse profile beside the gel, with the
+    // steady-state line between the two channel inlets
+    drawGelProfile(ctx) {
+        const L = this.layout;
+        const sp = this.speciesById(this.displaySpecies);
+        const { gel: field, channels } = this.transport[sp.id];
+        const x0 = L.channelEndX + 12;
+        const w = 80;
+        const scale = this.referenceConcentration(sp.id);
+        const xOf = c => x0 + Math.min(1, c / scale) * w;
+        const yOf = j => L.hydrogelY + (j + 0.5) * L.hydrogelHeight / field.ny;
+        
+        // Axes
+        ctx.strokeStyle = 'rgba(160, 160, 160, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x0, L.hydrogelY);
+        ctx.lineTo(x0, L.hydrogelY + L.hydrogelHeight);
+        ctx.lineTo(x0 + w, L.hydrogelY + L.hydrogelHeight);
+        ctx.stroke();
+        
+        // Steady state
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(xOf(channels.top.inlet), L.hydrogelY);
+        ctx.lineTo(xOf(channels.bottom.inlet), L.hydrogelY + L.hydrogelHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Current row means
+        ctx.strokeStyle = sp.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let j = 0; j < field.ny; j++) {
+            const px = xOf(field.rowMean(j));
+            if (j === 0) ctx.moveTo(px, yOf(j));
+            else ctx.lineTo(px, yOf(j));
+        }
+        ctx.stroke();
+        
+        // Neuron row marker
+        if (this.motorNeurons.length > 0) {
+            const ny = this.motorNeurons.reduce((acc, n) => acc + n.y, 0) / this.motorNeurons.length;
+            ctx.fillStyle = '#90EE90';
+            ctx.beginPath();
+            ctx.arc(xOf(this.neuronRowConcentration(sp.id)), ny, 3, 0, Math.PI * 2);
+            ctx.fill();
         }
+        
+        ctx.font = '8px Arial';
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'center';
+        ctx.fillText(`0–${scale} µM`, x0 + w / 2, L.hydrogelY + 12);
     }
     
-    // Render the axons
+    // Render the axons along their grown path, coloured per segment by local
+    // effect, over their myelin sheaths. Beaded segments break into swellings,
+    // fragments leave sparse debris, and a growing tip carries a growth cone
     drawAxons(ctx) {
         this.axons.forEach(axon => {
-            const exp = axon.drugExposure;
-            ctx.strokeStyle = exp > 0.2 
-                ? `rgba(${100 + exp * 155}, ${180 - exp * 80}, ${100 - exp * 50}, 0.5)` 
-                : 'rgba(120, 180, 120, 0.4)';
+            const path = this.axonPath(axon);
+            
+            // Sheaths thicken and brighten with myelin; a node of Ranvier gap is
+            // left wherever one internode ends
+            axon.segments.forEach((seg, k) => {
+                const owner = axon.sheaths[k];
+                const a = path[k];
+                const b = path[k + 1];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                if (owner === null || seg.myelin < 0.02 || length === 0) return;
+                const gap = 0.75 / length;
+                const t0 = axon.sheaths[k - 1] !== owner ? gap : 0;
+                const t1 = axon.sheaths[k + 1] !== owner || k === axon.segments.length - 1 ? 1 - gap : 1;
+                if (t1 <= t0) return;
+                ctx.strokeStyle = `rgba(245, 235, 200, ${0.2 + 0.6 * seg.myelin})`;
+                ctx.lineWidth = 1.5 + 3 * seg.myelin;
+                ctx.beginPath();
+                ctx.moveTo(a.x + t0 * (b.x - a.x), a.y + t0 * (b.y - a.y));
+                ctx.lineTo(a.x + t1 * (b.x - a.x), a.y + t1 * (b.y - a.y));
+                ctx.stroke();
+            });
+            
             ctx.lineWidth = 1.5;
-            ctx.beginPath();
-            ctx.moveTo(axon.startX, axon.startY);
-            const midY = (axon.startY + axon.endY) / 2;
-            const wave = Math.sin(this.simulationTime * 1.5) * 4;
-            ctx.quadraticCurveTo(axon.startX + wave, midY, axon.endX, axon.endY);
-            ctx.stroke();
+            axon.segments.forEach((seg, k) => {
+                const a = path[k];
+                const b = path[k + 1];
+                const exp = seg.drugExposure;
+                const color = exp > 0.2
+                    ? `rgba(${100 + exp * 155}, ${180 - exp * 80}, ${100 - exp * 50}, 0.5)`
+                    : 'rgba(120, 180, 120, 0.4)';
+                const state = this.axonSegmentState(seg);
+                if (state === 'intact') {
+                    ctx.strokeStyle = color;
+                    ctx.beginPath();
+                    ctx.moveTo(a.x, a.y);
+                    ctx.lineTo(b.x, b.y);
+                    ctx.stroke();
+                    return;
+                }
+                const beads = Math.max(1, Math.round(Math.hypot(b.x - a.x, b.y - a.y) / 3));
+                ctx.fillStyle = state === 'beaded' ? color : 'rgba(150, 110, 90, 0.35)';
+                for (let j = state === 'beaded' ? 0 : k % 2; j < beads; j += state === 'beaded' ? 1 : 2) {
+                    const t = (j + 0.5) / beads;
+                    ctx.beginPath();
+                    ctx.arc(a.x + t * (b.x - a.x), a.y + t * (b.y - a.y), state === 'beaded' ? 1.3 : 0.9, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            });
+            
+            const tip = axon.segments[axon.segments.length - 1];
+            if (axon.length < axon.trackLength - 1e-6 && this.axonSegmentState(tip) === 'intact') {
+                const end = path[path.length - 1];
+                const before = path[path.length - 2];
+                const angle = end.y !== before.y || end.x !== before.x ? Math.atan2(end.y - before.y, end.x - before.x) : Math.PI / 2;
+                ctx.fillStyle = 'rgba(160, 220, 160, 0.7)';
+                ctx.beginPath();
+                ctx.moveTo(end.x, end.y);
+                ctx.arc(end.x, end.y, 4, angle - 0.7, angle + 0.7);
+                ctx.closePath();
+                ctx.fill();
+            }
         });
     }
     
-    // Render the Schwann cells
+    // Render the Schwann cells, translucent so the axon and sheath drawn over them
+    // show through
     drawSchwannCells(ctx) {
         this.schwannCells.forEach(cell => {
             ctx.save();
@@ -645,6 +2919,7 @@ class LabOnChipSimulation {
                 ? `rgba(${160 + exp * 80}, ${200 - exp * 60}, ${50 + exp * 60}, 0.9)`
                 : '#9ACD32';
             
+            ctx.globalAlpha = cell.response === 'degenerating' ? 0.35 : 0.6;
             ctx.beginPath();
             ctx.ellipse(0, 0, cell.width/2, cell.height/2, 0, 0, Math.PI * 2);
             ctx.fill();
@@ -659,14 +2934,54 @@ class LabOnChipSimulation {
         });
     }
     
+    // Render the cells of the other types in their shape and colour, browning
+    // with effect, with a dark nucleus
+    drawOtherCells(ctx) {
+        this.otherCells.forEach(cell => {
+            const type = this.cellTypeById(cell.type);
+            const r = type.radius;
+            const exp = cell.drugExposure;
+            const [red, green, blue] = this.hexToRgb(type.color);
+            const toward = (v, target) => Math.round(v + (target - v) * exp * 0.6);
+            ctx.save();
+            ctx.translate(cell.x, cell.y);
+            ctx.rotate(cell.rotation);
+            ctx.globalAlpha = cell.response === 'degenerating' ? 0.5 : 0.9;
+            ctx.fillStyle = `rgb(${toward(red, 160)}, ${toward(green, 110)}, ${toward(blue, 90)})`;
+            ctx.beginPath();
+            if (type.shape === 'elongated') {
+                const [rx, ry] = this.cellExtent(type);
+                ctx.ellipse(0, 0, rx, ry, 0, 0, Math.PI * 2);
+            } else if (type.shape === 'amoeboid') {
+                // Lobed outline
+                for (let k = 0; k <= 24; k++) {
+                    const a = k / 24 * Math.PI * 2;
+                    const rr = r * (1 + 0.25 * Math.sin(3 * a) + 0.1 * Math.sin(5 * a + 1));
+                    if (k === 0) ctx.moveTo(rr, 0);
+                    else ctx.lineTo(rr * Math.cos(a), rr * Math.sin(a));
+                }
+                ctx.closePath();
+            } else {
+                ctx.arc(0, 0, r, 0, Math.PI * 2);
+            }
+            ctx.fill();
+            
+            ctx.fillStyle = 'rgba(40, 30, 30, 0.6)';
+            ctx.beginPath();
+            ctx.arc(0, 0, r * 0.4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        });
+    }
+    
     // Render the motor neurons
     drawMotorNeurons(ctx) {
-        this.motorNeurons.forEach(neuron => {
-            const pulse = Math.sin(this.simulationTime * 2.5 + neuron.phase) * 0.06 + 1;
-            const r = neuron.radius * pulse;
+        this.motorNeurons.forEach((neuron, i) => {
+            const glow = this.spikeGlow(i);
+            const r = neuron.radius * (1 + 0.12 * glow);
             const exp = neuron.drugExposure;
             
-            // Cell body - light green turning more red when exposed
+            // Cell body - light green turning more red when exposed, flashing on a spike
             ctx.fillStyle = exp > 0.3
                 ? `rgba(${144 + exp * 100}, ${238 - exp * 120}, ${144 - exp * 100}, 1)`
                 : '#90EE90';
@@ -674,15 +2989,44 @@ class LabOnChipSimulation {
             ctx.beginPath();
             ctx.arc(neuron.x, neuron.y, r, 0, Math.PI * 2);
             ctx.fill();
+            if (glow > 0.05) {
+                ctx.fillStyle = `rgba(255, 255, 255, ${(0.6 * glow).toFixed(2)})`;
+                ctx.fill();
+            }
             
-            // Nucleus (inner circle)
-            ctx.fillStyle = exp > 0.3 ? '#993333' : '#228B22';
+            // Nucleus (inner circle) darkens as the cell degenerates
+            ctx.fillStyle = neuron.response === 'degenerating' ? '#662222'
+                : neuron.response === 'stressed' ? '#993333' : '#228B22';
             ctx.beginPath();
             ctx.arc(neuron.x, neuron.y, r * 0.45, 0, Math.PI * 2);
             ctx.fill();
         });
     }
     
+    // Spike flash of a neuron (0–1): the latest recording's spike times replayed
+    // in real time, so the flashing slows as the drug silences the cell
+    spikeGlow(index) {
+        const spikes = this.recording && this.recording.spikes[index];
+        if (!spikes) return 0;
+        const t = performance.now() % this.electrophysiology.window;
+        let last = -Infinity;
+        for (const spike of spikes) {
+            if (spike > t) break;
+            last = spike;
+        }
+        return Math.exp(-(t - last) / 40);
+    }
+    
+    // MEA electrodes under the gel, the selected one outlined
+    drawElectrodes(ctx) {
+        ctx.fillStyle = 'rgba(200, 170, 90, 0.55)';
+        this.layout.electrodes.forEach(e => ctx.fillRect(e.x - 2.5, e.y - 2.5, 5, 5));
+        const selected = this.layout.electrodes[this.selectedElectrode];
+        ctx.strokeStyle = '#00d9ff';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(selected.x - 4.5, selected.y - 4.5, 9, 9);
+    }
+    
     // Render the flow particles
     drawFlowParticles(ctx) {
         ctx.fillStyle = 'rgba(65, 125, 175, 0.55)';
@@ -695,8 +3039,9 @@ class LabOnChipSimulation {
     
     // Render the drug particles
     drawDrugParticles(ctx) {
-        ctx.fillStyle = 'rgba(255, 50, 50, 0.8)';
         this.drugParticles.forEach(p => {
+            const [r, g, b] = this.hexToRgb(this.speciesById(p.species).color);
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.8)`;
             ctx.beginPath();
             ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
             ctx.fill();
@@ -705,8 +3050,9 @@ class LabOnChipSimulation {
     
     // Render the diffusion particles
     drawDiffusionParticles(ctx) {
+        const [r, g, b] = this.hexToRgb(this.speciesById(this.displaySpecies).color);
         this.diffusionParticles.forEach(p => {
-            ctx.fillStyle = `rgba(255, 70, 70, ${p.alpha * 0.65})`;
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${p.alpha * 0.65})`;
             ctx.beginPath();
             ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
             ctx.fill();
@@ -715,19 +3061,15 @@ class LabOnChipSimulation {
     
     // Render the reservoirs
     drawReservoirs(ctx) {
-        const reservoirs = [
-            { x: 127, y: 102, inlet: true },
-            { x: 127, y: 397, inlet: true },
-            { x: 673, y: 102, inlet: false },
-            { x: 673, y: 397, inlet: false }
-        ];
+        const r = this.layout.reservoirRadius;
         
         // Render the reservoirs
-        reservoirs.forEach(res => {
-            const grad = ctx.createRadialGradient(res.x - 4, res.y - 4, 0, res.x, res.y, 22);
+        this.layout.reservoirs.forEach(res => {
+            const grad = ctx.createRadialGradient(res.x - 4, res.y - 4, 0, res.x, res.y, r + 2);
             
-            // Color based on inlet/outlet and current step
-            if (res.inlet && this.currentStep >= 3) {
+            // Inlets turn red while the running phase feeds them drug
+            const solution = res.inlet ? this.currentPhase().inlets[res.channel].concentrations : {};
+            if (Object.values(solution).some(c => c > 0)) {
                 grad.addColorStop(0, '#ff7777');
                 grad.addColorStop(0.6, '#cc4444');
                 grad.addColorStop(1, '#8B0000');
@@ -739,46 +3081,394 @@ class LabOnChipSimulation {
             
             ctx.fillStyle = grad;
             ctx.beginPath();
-            ctx.arc(res.x, res.y, 20, 0, Math.PI * 2);
+            ctx.arc(res.x, res.y, r, 0, Math.PI * 2);
             ctx.fill();
             
             // Highlight
             ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
             ctx.beginPath();
-            ctx.arc(res.x - 6, res.y - 6, 5, 0, Math.PI * 2);
+            ctx.arc(res.x - r * 0.3, res.y - r * 0.3, r * 0.25, 0, Math.PI * 2);
             ctx.fill();
         });
     }
     
     // Render the hydrogel port
     drawHydrogelPort(ctx) {
-        const grad = ctx.createRadialGradient(117, 242, 0, 117, 242, 11);
+        const port = this.layout.port;
+        const grad = ctx.createRadialGradient(port.x, port.y, 0, port.x, port.y, port.r);
         grad.addColorStop(0, '#5588aa');
         grad.addColorStop(1, '#334455');
         ctx.fillStyle = grad;
         ctx.beginPath();
-        ctx.arc(117, 242, 11, 0, Math.PI * 2);
+        ctx.arc(port.x, port.y, port.r, 0, Math.PI * 2);
         ctx.fill();
     }
     
     // Render the labels
     drawLabels(ctx) {
+        const L = this.layout;
+        const cx = (L.channelStartX + L.channelEndX) / 2;
         ctx.font = 'bold 11px Arial';
         ctx.fillStyle = '#a0a0a0';
         ctx.textAlign = 'center';
         
-        ctx.fillText('Medium Channel', 400, 72);
-        ctx.fillText('Medium Channel', 400, 438);
-        ctx.fillText('ECM Hydrogel', 400, 250);
+        ctx.fillText('Medium Channel', cx, L.topChannelY - 8);
+        ctx.fillText('Medium Channel', cx, L.bottomChannelY + L.channelHeight + 18);
+        ctx.fillText('ECM Hydrogel', cx, L.hydrogelY + L.hydrogelHeight / 2);
         
         ctx.font = '9px Arial';
         ctx.fillStyle = '#888';
-        ctx.fillText('Motor neurons', 400, 165);
-        ctx.fillText('Schwann cells', 310, 305);
+        ctx.fillText('Motor neurons', cx, L.hydrogelY + 40);
+        ctx.fillText('Schwann cells', L.channelStartX + 0.295 * (L.channelEndX - L.channelStartX), L.hydrogelY + 0.72 * L.hydrogelHeight);
         
         ctx.font = '8px Arial';
-        ctx.fillText('Inlet', 127, 75);
-        ctx.fillText('Outlet', 673, 75);
+        const [inlet, , outlet] = L.reservoirs;
+        ctx.fillText('Inlet', inlet.x, inlet.y - L.reservoirRadius - 7);
+        ctx.fillText('Outlet', outlet.x, outlet.y - L.reservoirRadius - 7);
+    }
+    
+    // Elapsed experiment time and running phase, top-left
+    drawClock(ctx) {
+        const phase = this.currentPhase();
+        ctx.fillStyle = 'rgba(26, 26, 46, 0.8)';
+        ctx.beginPath();
+        this.roundRect(ctx, 8, 8, 150, 38, 6);
+        ctx.fill();
+        
+        ctx.textAlign = 'left';
+        ctx.font = 'bold 15px monospace';
+        ctx.fillStyle = '#00d9ff';
+        ctx.fillText(`T+ ${this.formatClock(this.simulationTime)}`, 16, 26);
+        ctx.font = '9px Arial';
+        ctx.fillStyle = '#a0a0a0';
+        const limited = this.isPlaying && this.playbackSpeed !== null && this.playbackSpeed < 0.8 * this.timeCompression;
+        ctx.fillText(`${phase.name} · ${this.timeCompression}×` + (limited ? ` (${Math.round(this.playbackSpeed)}× now)` : ''), 16, 40);
+    }
+    
+    // Physical scale bar, bottom-right: the largest round length under 120 px
+    drawScaleBar(ctx) {
+        const lengths = [50, 100, 200, 250, 500, 1000, 2000];
+        const um = lengths.filter(l => l / this.umPerPx <= 120).pop();
+        const width = um / this.umPerPx;
+        const x1 = this.canvas.width - 16;
+        const x0 = x1 - width;
+        const y = this.canvas.height - 14;
+        
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x0, y - 4);
+        ctx.lineTo(x0, y);
+        ctx.lineTo(x1, y);
+        ctx.lineTo(x1, y - 4);
+        ctx.stroke();
+        
+        ctx.font = '10px Arial';
+        ctx.fillStyle = '#e0e0e0';
+        ctx.textAlign = 'center';
+        ctx.fillText(um >= 1000 ? `${um / 1000} mm` : `${um} µm`, (x0 + x1) / 2, y - 6);
+    }
+    
+    // Widefield fluorescence image: every enabled channel is exposed on the
+    // camera and added in its false colour. Without expose the last frame is
+    // shown again; the live view only re-exposes at the camera's frame rate
+    // (the channels' exposures back to back). Returns the channels drawn, with
+    // their saturated fractions
+    drawFluorescence(ctx, expose = true) {
+        const b = this.camera.binning;
+        const w = Math.ceil(this.canvas.width / b);
+        const h = Math.ceil(this.canvas.height / b);
+        if (!this.fluorescenceCanvas || this.fluorescenceCanvas.width !== w || this.fluorescenceCanvas.height !== h) {
+            this.fluorescenceCanvas = document.createElement('canvas');
+            this.fluorescenceCanvas.width = w;
+            this.fluorescenceCanvas.height = h;
+            this.fluorescenceCtx = this.fluorescenceCanvas.getContext('2d');
+            this.fluorescenceImage = this.fluorescenceCtx.createImageData(w, h);
+            this.fluorescenceChannels = null;
+        }
+        
+        if (expose || !this.fluorescenceChannels) {
+            const regions = this.imagingRegions(w, h);
+            const channels = this.imagingChannels().filter(ch => ch.enabled).map(ch => ({ ...ch, ...this.exposeChannel(ch, regions) }));
+            
+            // Additive false colour
+            const data = this.fluorescenceImage.data;
+            data.fill(0);
+            channels.forEach(ch => {
+                const [r, g, bl] = this.hexToRgb(ch.color);
+                for (let k = 0; k < w * h; k++) {
+                    const v = ch.frame[k];
+                    data[k * 4] = Math.min(255, data[k * 4] + r * v);
+                    data[k * 4 + 1] = Math.min(255, data[k * 4 + 1] + g * v);
+                    data[k * 4 + 2] = Math.min(255, data[k * 4 + 2] + bl * v);
+                }
+            });
+            for (let k = 0; k < w * h; k++) data[k * 4 + 3] = 255;
+            this.fluorescenceCtx.putImageData(this.fluorescenceImage, 0, 0);
+            
+            this.fluorescenceChannels = channels;
+            const frameTime = channels.reduce((acc, ch) => acc + ch.exposure, 0);
+            this.nextCameraFrame = performance.now() + Math.min(1000, Math.max(100, frameTime));
+        }
+        
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.fluorescenceCanvas, 0, 0, w * b, h * b);
+        ctx.restore();
+        this.drawImagingLegend(ctx, this.fluorescenceChannels);
+        return this.fluorescenceChannels;
+    }
+    
+    // Camera pixels classified by what they image: 0 outside the chip, 1 PDMS,
+    // 2 top channel, 3 gel, 4 bottom channel, 5-8 the reservoirs (with their
+    // connections) in layout order. Gel grid coordinates are kept per pixel.
+    // Rebuilt whenever the geometry gives a new layout
+    imagingRegions(w, h) {
+        const cached = this.imageRegions;
+        if (cached && cached.layout === this.layout && cached.w === w && cached.h === h) return cached;
+        
+        const L = this.layout;
+        const b = this.camera.binning;
+        const region = new Uint8Array(w * h);
+        const gx = new Float32Array(w * h);
+        const gy = new Float32Array(w * h);
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const x = (i + 0.5) * b;
+                const y = (j + 0.5) * b;
+                const k = j * w + i;
+                gx[k] = (x - L.channelStartX) / this.gridSize;
+                gy[k] = (y - L.hydrogelY) / this.gridSize;
+                if (x < L.chip.x || x > L.chip.x + L.chip.w || y < L.chip.y || y > L.chip.y + L.chip.h) continue;
+                
+                region[k] = 1;
+                if (x >= L.channelStartX && x < L.channelEndX) {
+                    if (y >= L.topChannelY && y < L.hydrogelY) region[k] = 2;
+                    else if (y >= L.hydrogelY && y < L.bottomChannelY) region[k] = this.inPost(x, y) ? 1 : 3;
+                    else if (y >= L.bottomChannelY && y < L.bottomChannelY + L.channelHeight) region[k] = 4;
+                }
+                L.reservoirs.forEach((res, n) => {
+                    const x0 = res.inlet ? res.x : L.channelEndX;
+                    const x1 = res.inlet ? L.channelStartX : res.x;
+                    const inTube = x >= x0 && x < x1 && Math.abs(y - res.y) <= 7.5;
+                    if (inTube || Math.hypot(x - res.x, y - res.y) <= L.reservoirRadius) region[k] = 5 + n;
+                });
+            }
+        }
+        this.imageRegions = { layout: L, w, h, region, gx, gy };
+        return this.imageRegions;
+    }
+    
+    // Whether a canvas point in the gel lies inside a PDMS post
+    inPost(x, y) {
+        const L = this.layout;
+        const ux = (x - L.channelStartX) * this.umPerPx;
+        const uy = (y - L.hydrogelY) * this.umPerPx;
+        return this.posts.some(post => {
+            const u = (ux - post.x) / post.size;
+            const v = (uy - post.y) / post.size;
+            return u >= 0 && u <= 1 && v >= 0 && v <= 1 && this.postContains(u, post.side === 'bottom' ? 1 - v : v);
+        });
+    }
+    
+    // One channel's camera frame as a fraction of full scale: the signal, the
+    // widefield blur, then photon shot noise and read noise, clipped at full
+    // scale. Noise draws on Math.random, never the run's seeded stream, so
+    // imaging leaves the run unchanged
+    exposeChannel(ch, regions) {
+        const cam = this.camera;
+        const { w, h, region } = regions;
+        const frame = ch.key.startsWith('species:')
+            ? this.tracerSignal(ch.key.slice('species:'.length), regions)
+            : this.stainSignal(ch.key, w, h);
+        this.blurBuffer(frame, w, h, this.imaging.blur / (this.umPerPx * cam.binning));
+        
+        const gaussian = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+        const photonsPerUnit = cam.photonsPerMs * ch.exposure;
+        let inside = 0;
+        let saturated = 0;
+        for (let k = 0; k < w * h; k++) {
+            const background = region[k] > 0 ? cam.autofluorescence : 0;
+            let electrons = (frame[k] + background) * photonsPerUnit;
+            if (this.imaging.noise) electrons += Math.sqrt(electrons) * gaussian() + cam.readNoise * gaussian();
+            const counts = Math.min(Math.max(electrons, 0), cam.fullScale);
+            if (region[k] > 0) {
+                inside++;
+                if (counts >= cam.fullScale) saturated++;
+            }
+            frame[k] = counts / cam.fullScale;
+        }
+        return { frame, saturated: inside > 0 ? saturated / inside : 0 };
+    }
+    
+    // Tracer signal per camera pixel: local concentration over the reference
+    // concentration; reservoirs hold the inlet solution or the outlet effluent
+    tracerSignal(id, regions) {
+        const { w, h, region, gx, gy } = regions;
+        const { gel, channels } = this.transport[id];
+        const scale = this.referenceConcentration(id);
+        const reservoirs = this.layout.reservoirs.map(res => {
+            const channel = channels[res.channel];
+            return res.inlet ? channel.inlet : channel.values[channel.n - 1];
+        });
+        const signal = new Float32Array(w * h);
+        for (let k = 0; k < w * h; k++) {
+            let c = 0;
+            switch (region[k]) {
+                case 0:
+                case 1:
+                    break;
+                case 2:
+                    c = channels.top.sample(gx[k]);
+                    break;
+                case 3:
+                    c = gel.sample(gx[k], gy[k]);
+                    break;
+                case 4:
+                    c = channels.bottom.sample(gx[k]);
+                    break;
+                default:
+                    c = reservoirs[region[k] - 5];
+            }
+            signal[k] = Math.max(0, c) / scale;
+        }
+        return signal;
+    }
+    
+    // Stain signal per camera pixel from the cells' shapes. Damage dims the
+    // stains, breaks damaged axons into beads and debris and condenses nuclei
+    stainSignal(key, w, h) {
+        const signal = new Float32Array(w * h);
+        const brightness = { healthy: 1, stressed: 0.75, degenerating: 0.4 };
+        const stamp = (x, y, rx, ry, angle, value) => this.stampEllipse(signal, w, h, x, y, rx, ry, angle, value);
+        
+        if (key === 'neurons') {
+            this.motorNeurons.forEach(n => stamp(n.x, n.y, n.radius, n.radius, 0, brightness[n.response]));
+            this.axons.forEach(axon => {
+                const path = this.axonPath(axon);
+                axon.segments.forEach((seg, k) => {
+                    const a = path[k];
+                    const b = path[k + 1];
+                    const state = this.axonSegmentState(seg);
+                    const samples = Math.ceil(Math.hypot(b.x - a.x, b.y - a.y));
+                    for (let s = 0; s <= samples; s++) {
+                        if (state === 'beaded' && s % 6 >= 3) continue;
+                        if (state === 'fragmented' && s % 6 !== 0) continue;
+                        const t = samples > 0 ? s / samples : 0;
+                        stamp(a.x + t * (b.x - a.x), a.y + t * (b.y - a.y), 0.75, 0.75, 0, 0.7 * brightness[seg.response]);
+                    }
+                });
+            });
+        } else if (key === 'schwann') {
+            this.schwannCells.forEach(cell =>
+                stamp(cell.x, cell.y, cell.width / 2, cell.height / 2, cell.rotation, brightness[cell.response]));
+        } else if (key === 'nuclei') {
+            // Degenerating nuclei are pyknotic: smaller and brighter
+            const shrink = cell => cell.response === 'degenerating' ? 0.7 : 1;
+            const glow = cell => cell.response === 'degenerating' ? 1.5 : 1;
+            this.motorNeurons.forEach(n =>
+                stamp(n.x, n.y, n.radius * 0.45 * shrink(n), n.radius * 0.45 * shrink(n), 0, glow(n)));
+            this.schwannCells.forEach(cell =>
+                stamp(cell.x, cell.y, 6 * shrink(cell), 4 * shrink(cell), cell.rotation, glow(cell)));
+            this.otherCells.forEach(cell => {
+                const r = this.cellTypeById(cell.type).radius * 0.4 * shrink(cell);
+                stamp(cell.x, cell.y, r, r, 0, glow(cell));
+            });
+        }
+        return signal;
+    }
+    
+    // Raise the camera pixels whose centres fall inside an ellipse (canvas px)
+    // to value; an ellipse smaller than a pixel marks the pixel it sits in
+    stampEllipse(buffer, w, h, x, y, rx, ry, angle, value) {
+        const b = this.camera.binning;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const r = Math.max(rx, ry);
+        const i0 = Math.max(0, Math.floor((x - r) / b));
+        const i1 = Math.min(w - 1, Math.floor((x + r) / b));
+        const j0 = Math.max(0, Math.floor((y - r) / b));
+        const j1 = Math.min(h - 1, Math.floor((y + r) / b));
+        let hit = false;
+        for (let j = j0; j <= j1; j++) {
+            for (let i = i0; i <= i1; i++) {
+                const u = (i + 0.5) * b - x;
+                const v = (j + 0.5) * b - y;
+                const du = (u * cos + v * sin) / rx;
+                const dv = (v * cos - u * sin) / ry;
+                if (du * du + dv * dv <= 1) {
+                    buffer[j * w + i] = Math.max(buffer[j * w + i], value);
+                    hit = true;
+                }
+            }
+        }
+        const i = Math.floor(x / b);
+        const j = Math.floor(y / b);
+        if (!hit && i >= 0 && i < w && j >= 0 && j < h) buffer[j * w + i] = Math.max(buffer[j * w + i], value);
+    }
+    
+    // Separable Gaussian blur in place, sigma in camera pixels; edges clamp
+    blurBuffer(buffer, w, h, sigma) {
+        if (sigma < 0.2) return;
+        const radius = Math.ceil(3 * sigma);
+        const kernel = Array.from({ length: 2 * radius + 1 }, (v, i) => Math.exp(-(i - radius) * (i - radius) / (2 * sigma * sigma)));
+        const norm = kernel.reduce((acc, v) => acc + v, 0);
+        const scratch = new Float32Array(w * h);
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                let sum = 0;
+                for (let t = -radius; t <= radius; t++) {
+                    sum += kernel[t + radius] * buffer[j * w + Math.min(w - 1, Math.max(0, i + t))];
+                }
+                scratch[j * w + i] = sum / norm;
+            }
+        }
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                let sum = 0;
+                for (let t = -radius; t <= radius; t++) {
+                    sum += kernel[t + radius] * scratch[Math.min(h - 1, Math.max(0, j + t)) * w + i];
+                }
+                buffer[j * w + i] = sum / norm;
+            }
+        }
+    }
+    
+    // Channel key, bottom-left: false colour, exposure and saturated fraction
+    drawImagingLegend(ctx, channels) {
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'left';
+        if (channels.length === 0) {
+            ctx.fillStyle = '#a0a0a0';
+            ctx.textAlign = 'center';
+            ctx.fillText('No imaging channels enabled', this.canvas.width / 2, this.canvas.height / 2);
+            return;
+        }
+        
+        const lines = channels.map(ch => ({
+            color: ch.color,
+            text: `${ch.label} · ${ch.exposure} ms`,
+            warning: ch.saturated > 0.005 ? `${(ch.saturated * 100).toFixed(ch.saturated < 0.1 ? 1 : 0)}% saturated` : ''
+        }));
+        const width = Math.max(...lines.map(line => ctx.measureText(`${line.text}  ${line.warning}`).width)) + 32;
+        const height = lines.length * 14 + 8;
+        const y0 = this.canvas.height - 8 - height;
+        ctx.fillStyle = 'rgba(26, 26, 46, 0.8)';
+        ctx.beginPath();
+        this.roundRect(ctx, 8, y0, width, height, 6);
+        ctx.fill();
+        
+        lines.forEach((line, i) => {
+            const y = y0 + 15 + i * 14;
+            ctx.fillStyle = line.color;
+            ctx.fillRect(16, y - 8, 8, 8);
+            ctx.fillStyle = '#e0e0e0';
+            ctx.fillText(line.text, 30, y);
+            if (line.warning) {
+                ctx.fillStyle = '#ffa94d';
+                ctx.fillText(line.warning, 30 + ctx.measureText(`${line.text}  `).width, y);
+            }
+        });
     }
     
     // Render the highlight for current step
@@ -796,12 +3486,11 @@ class LabOnChipSimulation {
         // Highlight based on current step
         switch (step.highlight) {
             case 'inlet':
-                ctx.beginPath();
-                ctx.arc(127, 102, 26, 0, Math.PI * 2);
-                ctx.stroke();
-                ctx.beginPath();
-                ctx.arc(127, 397, 26, 0, Math.PI * 2);
-                ctx.stroke();
+                L.reservoirs.filter(res => res.inlet).forEach(res => {
+                    ctx.beginPath();
+                    ctx.arc(res.x, res.y, L.reservoirRadius + 6, 0, Math.PI * 2);
+                    ctx.stroke();
+                });
                 break;
             case 'channels':
             case 'flow':
@@ -822,6 +3511,31 @@ class LabOnChipSimulation {
         ctx.setLineDash([]);
     }
 
+    // Utility: experiment clock, h:mm:ss (days prefixed past 24 h)
+    formatClock(seconds) {
+        const total = Math.floor(seconds);
+        const days = Math.floor(total / 86400);
+        const h = Math.floor(total % 86400 / 3600);
+        const m = String(Math.floor(total % 3600 / 60)).padStart(2, '0');
+        const sec = String(total % 60).padStart(2, '0');
+        return (days > 0 ? `${days} d ` : '') + `${h}:${m}:${sec}`;
+    }
+    
+    // Utility: a duration in the largest unit that keeps it readable
+    formatDuration(seconds) {
+        if (seconds < 120) return `${seconds.toFixed(seconds < 10 ? 1 : 0)} s`;
+        if (seconds < 7200) return `${(seconds / 60).toFixed(1)} min`;
+        if (seconds < 172800) return `${(seconds / 3600).toFixed(1)} h`;
+        return `${(seconds / 86400).toFixed(1)} d`;
+    }
+    
+    // Utility: escape user text for HTML templates
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+    
     // Utility: draw rounded rectangle
     roundRect(ctx, x, y, w, h, r) {
         if (w < 2 * r) r = w / 2;
@@ -836,30 +3550,101 @@ class LabOnChipSimulation {
     
     // Handle mouse hover events
     handleHover(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-        const x = (e.clientX - rect.left) * scaleX;
-        const y = (e.clientY - rect.top) * scaleY;
+        const { x, y } = this.canvasPoint(e);
+        if (this.cellDrag) {
+            this.cellDrag.x = x;
+            this.cellDrag.y = y;
+            this.render();
+            return;
+        }
+        if (this.underlayDrag) {
+            const drag = this.underlayDrag;
+            this.underlay.x = drag.offsetX + (x - drag.x) * this.umPerPx;
+            this.underlay.y = drag.offsetY + (y - drag.y) * this.umPerPx;
+            this.renderUnderlayEditor();
+            this.render();
+            return;
+        }
         
         for (const comp of this.components) {
             if (x >= comp.x && x <= comp.x + comp.width && y >= comp.y && y <= comp.y + comp.height) {
-                this.showComponentInfo(comp.type);
+                this.showComponentInfo(comp.type, comp.cell, comp.electrode);
                 return;
             }
         }
         this.hideComponentInfo();
     }
     
-    //  get component info and display
-    showComponentInfo(type) {
-        const info = this.componentInfo[type];
+    // Mouse position in canvas px
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (e.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+    
+    //  get component info and display; cell types describe themselves
+    showComponentInfo(type, cell, electrode) {
+        const cellType = this.cellTypeById(type);
+        const info = cellType ? { title: cellType.name, description: cellType.description } : this.componentInfo[type];
         if (!info) return;
+        let description = info.description;
+        if (type === 'pdmsPost') {
+            const g = this.geometry;
+            description += ` ${this.postShapes[g.postShape]} posts, ${g.postWidth} µm wide with ${g.postGap} µm gaps: ` +
+                `${(this.interfaceOpenFraction() * 100).toFixed(0)}% of the gel interface is open.`;
+        }
+        if (type === 'electrode') {
+            description += ` Electrode ${this.layout.electrodes[electrode].id}; click it in the Electrophysiology panel for its trace.`;
+        }
+        if (cell) {
+            this.species.forEach(sp => {
+                const e = cell.exposure[sp.id];
+                description += ` ${sp.name}: local ${e.concentration.toFixed(2)} µM, ` +
+                    `retained ${e.retained.toFixed(2)} µM, AUC ${e.auc.toFixed(1)} µM·min.`;
+            });
+            if (cell.protection > 0.005) description += ` Protection ${(cell.protection * 100).toFixed(0)}%.`;
+            description += ` Effect ${(cell.drugExposure * 100).toFixed(0)}% (${cell.response}).`;
+            if (cell.viability !== undefined) {
+                const levels = this.nutrients.map(n =>
+                    `${n.name.toLowerCase()} ${this.nutrientAt(n.id, cell.x, cell.y).toFixed(n.medium >= 1000 ? 0 : 1)} µM`);
+                description += ` Local ${levels.join(', ')}; viability ${(cell.viability * 100).toFixed(0)}%.`;
+            }
+            const index = this.motorNeurons.indexOf(cell);
+            if (index >= 0) {
+                const axon = this.axonMetrics(this.axons[index]);
+                description += ` Axon ${axon.length.toFixed(0)} µm, ${axon.connected.toFixed(0)} µm connected, integrity ${(axon.integrity * 100).toFixed(0)}%.`;
+            }
+            const spikes = this.recording && this.recording.spikes[index];
+            if (spikes) description += ` Firing ${((spikes.length - 1) / (this.electrophysiology.window / 1000)).toFixed(1)} Hz.`;
+            if (type === 'schwannCell') {
+                const myelin = this.schwannMyelin(cell);
+                description += cell.axon === null ? ' Not associated with an axon.'
+                    : ` Ensheathes ${cell.axon}` + (myelin === null ? ' (internode not yet grown).' : `, myelin ${(myelin * 100).toFixed(0)}%.`);
+            }
+        }
         document.getElementById('infoTitle').textContent = info.title;
-        document.getElementById('infoDescription').textContent = info.description;
+        document.getElementById('infoDescription').textContent = description;
         document.getElementById('componentInfo').classList.add('visible');
     }
     
+    // Colour ramp for the sweep heatmap, 0 → dark blue, 1 → red
+    heatColor(f) {
+        const stops = ['#2c3e91', '#00d9ff', '#ffd43b', '#ff4444'].map(c => this.hexToRgb(c));
+        const x = Math.min(1, Math.max(0, f)) * (stops.length - 1);
+        const i = Math.min(stops.length - 2, Math.floor(x));
+        const t = x - i;
+        const rgb = stops[i].map((v, k) => Math.round(v + (stops[i + 1][k] - v) * t));
+        return `rgb(${rgb.join(', ')})`;
+    }
+    
+    // '#rrggbb' → [r, g, b]
+    hexToRgb(hex) {
+        const n = parseInt(hex.slice(1), 16);
+        return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+    }
+    
     // Hide component info display
     hideComponentInfo() {
         document.getElementById('componentInfo').classList.remove('visible');
@@ -0,0 +1,11 @@
+// Runs a parameter sweep off the page's thread, posting each run as it finishes.
+// Message in: { configuration, spec, start }; out: { type: 'run', result } per run, then { type: 'done' }
+importScripts('model.js', 'sweep.js');
+
+self.onmessage = (e) => {
+    const sweep = new ParameterSweep(e.data.configuration, e.data.spec);
+    for (let i = e.data.start || 0; i < sweep.runs.length; i++) {
+        self.postMessage({ type: 'run', result: sweep.run(i) });
+    }
+    self.postMessage({ type: 'done' });
+};
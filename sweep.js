@@ -0,0 +1,203 @@
+// Parameter sweeps: run one scenario across a grid or a random sample of
+// parameter values and reduce every run to a few summary metrics. Used by the
+// sweep worker (sweep-worker.js) and, when workers are unavailable, the page.
+// Loaded after model.js.
+
+// In Node the model comes from model.js; in the page and the worker it is global
+const sweepModel = typeof module !== 'undefined' && module.exports
+    ? require('./model.js')
+    : { ChipModel, SeededRandom };
+
+class ParameterSweep {
+    // spec: { mode: 'grid' | 'random', samples, seed,
+    //         parameters: [{ key, min, max, steps }] }
+    constructor(configuration, spec) {
+        this.configuration = configuration;
+        this.spec = spec;
+        this.runs = this.sample();
+    }
+    
+    // Sweepable parameters. Each applies a value to a prepared model; the drug
+    // parameters act on the target species (the first additive one)
+    static parameters = {
+        flowRate: {
+            label: 'Flow rate', unit: 'µL/min', min: 0.1, max: 2,
+            apply: (model, value) => model.protocol.phases.forEach(phase => {
+                Object.values(phase.inlets).forEach(inlet => inlet.flowRate = model.clampFlowRate(value));
+            })
+        },
+        diffusivity: {
+            label: 'Diffusivity', unit: 'µm²/s', min: 100, max: 800,
+            apply: (model, value) => ParameterSweep.targetSpecies(model).diffusivity = value
+        },
+        hydrogelWidth: {
+            label: 'Gel width', unit: 'µm', min: 1000, max: 3000,
+            apply: (model, value) => model.applyGeometry({ hydrogelWidth: value })
+        },
+        drugConcentration: {
+            label: 'Drug concentration', unit: 'µM', min: 1, max: 50,
+            apply: (model, value) => {
+                const id = ParameterSweep.targetSpecies(model).id;
+                model.protocol.phases.forEach(phase => Object.values(phase.inlets).forEach(inlet => {
+                    if (inlet.concentrations[id] > 0) inlet.concentrations[id] = value;
+                }));
+            }
+        },
+        exposureDuration: {
+            label: 'Exposure duration', unit: 'min', min: 5, max: 60,
+            apply: (model, value) => model.protocol.phases.forEach(phase => {
+                if (model.phaseHasDrug(phase)) phase.duration = value;
+            })
+        },
+        gelCellDensity: {
+            label: 'Gel culture density', unit: 'cells/mm³', min: 0, max: 20000,
+            apply: (model, value) => model.applyNutrientDynamics({ gelCellDensity: value })
+        }
+    };
+    
+    // Summary metrics collected from every run
+    static metrics = {
+        ec50Time: { label: 'Time to neuron EC50', unit: 'min' },
+        peakAxonExposure: { label: 'Peak axonal exposure', unit: 'µM' },
+        arrivalTime: { label: 'Neuron-row arrival', unit: 'min' },
+        neuronEffect: { label: 'Final neuron effect', unit: '' },
+        axonEffect: { label: 'Final axon effect', unit: '' },
+        axonLength: { label: 'Final connected axon length', unit: 'µm' },
+        myelin: { label: 'Final myelin', unit: 'of sheath' },
+        minSupply: { label: 'Lowest gel nutrient supply', unit: 'of starvation threshold' },
+        viability: { label: 'Final viability', unit: 'of cells' }
+    };
+    
+    // Geometry first: it rebuilds the chip, with the configured cells refitted
+    // into the new gel, and restarts the run
+    static applyOrder = ['hydrogelWidth', 'flowRate', 'diffusivity', 'drugConcentration', 'exposureDuration', 'gelCellDensity'];
+    
+    // Species the drug parameters and metrics refer to
+    static targetSpecies(model) {
+        return model.species.find(sp => sp.effect === 'additive') || model.species[0];
+    }
+    
+    // Parameter values of every run: the full grid, or uniform random samples
+    sample() {
+        const params = this.spec.parameters;
+        if (params.length === 0) return [{}];
+        
+        if (this.spec.mode === 'random') {
+            const rng = new sweepModel.SeededRandom(this.spec.seed);
+            return Array.from({ length: this.spec.samples }, () => Object.fromEntries(params.map(p =>
+                [p.key, p.min + rng.next() * (p.max - p.min)])));
+        }
+        
+        let runs = [{}];
+        params.forEach(p => {
+            const values = p.steps > 1
+                ? Array.from({ length: p.steps }, (v, i) => p.min + i * (p.max - p.min) / (p.steps - 1))
+                : [p.min];
+            runs = runs.flatMap(run => values.map(value => ({ ...run, [p.key]: value })));
+        });
+        return runs;
+    }
+    
+    // Model set up with one run's parameter values, at t = 0
+    prepare(values) {
+        const model = new sweepModel.ChipModel({ seed: this.configuration.seed });
+        model.applyConfiguration(this.configuration);
+        ParameterSweep.applyOrder.filter(key => key in values).forEach(key => ParameterSweep.parameters[key].apply(model, values[key]));
+        model.reset();
+        return model;
+    }
+    
+    // Run one parameter set through its whole protocol
+    run(index) {
+        const values = this.runs[index];
+        const model = this.prepare(values);
+        const target = ParameterSweep.targetSpecies(model).id;
+        const ec50 = model.responseModels.neuron.ec50;
+        const neurons = model.motorNeurons;
+        const end = model.protocolDuration() * 60;
+        let ec50Time = null;
+        let peakAxonExposure = 0;
+        let minSupply = Infinity;
+        
+        while (model.simulationTime + model.physicsStep / 2 < end) {
+            model.update(model.physicsStep);
+            
+            // EC50 is reached when the mean neuron dose (AUC) reaches the neuron EC50
+            if (ec50Time === null && neurons.reduce((acc, n) => acc + n.dose, 0) / neurons.length >= ec50) {
+                ec50Time = model.simulationTime / 60;
+            }
+            model.axons.forEach(a => a.segments.forEach(seg => {
+                peakAxonExposure = Math.max(peakAxonExposure, seg.exposure[target].retained);
+            }));
+            // Supply: the scarcest nutrient's lowest gel level over its starvation threshold
+            model.nutrients.forEach(n => {
+                minSupply = Math.min(minSupply, model.nutrientFields[n.id].gel.min() / n.threshold);
+            });
+        }
+        
+        const meanEffect = cells => cells.reduce((acc, c) => acc + c.drugExposure, 0) / cells.length;
+        const axons = model.meanAxonMetrics();
+        const arrival = model.transport[target].neuronArrivalTime;
+        return {
+            index,
+            values,
+            metrics: {
+                ec50Time,
+                peakAxonExposure,
+                arrivalTime: arrival === null ? null : arrival / 60,
+                neuronEffect: meanEffect(neurons),
+                axonEffect: meanEffect(model.axons),
+                axonLength: axons.connected,
+                myelin: axons.myelin,
+                minSupply,
+                viability: model.meanViability()
+            }
+        };
+    }
+    
+    // Spearman rank correlation of each swept parameter with each metric. Runs
+    // where a metric never happened (e.g. EC50 not reached) are left out of it
+    sensitivity(results) {
+        const rank = values => {
+            const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+            const ranks = new Array(values.length);
+            for (let i = 0; i < order.length;) {
+                let j = i;
+                while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+                for (let k = i; k <= j; k++) ranks[order[k]] = (i + j) / 2;
+                i = j + 1;
+            }
+            return ranks;
+        };
+        const correlation = (x, y) => {
+            const n = x.length;
+            const mx = x.reduce((a, b) => a + b, 0) / n;
+            const my = y.reduce((a, b) => a + b, 0) / n;
+            let sxy = 0;
+            let sxx = 0;
+            let syy = 0;
+            for (let i = 0; i < n; i++) {
+                sxy += (x[i] - mx) * (y[i] - my);
+                sxx += (x[i] - mx) * (x[i] - mx);
+                syy += (y[i] - my) * (y[i] - my);
+            }
+            return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+        };
+        
+        const table = {};
+        this.spec.parameters.forEach(p => {
+            table[p.key] = {};
+            Object.keys(ParameterSweep.metrics).forEach(metric => {
+                const runs = results.filter(r => r.metrics[metric] !== null);
+                table[p.key][metric] = runs.length < 3
+                    ? null
+                    : correlation(rank(runs.map(r => r.values[p.key])), rank(runs.map(r => r.metrics[metric])));
+            });
+        });
+        return table;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ParameterSweep };
+}
@@ -0,0 +1,224 @@
+// Minimal baseline TIFF reader for microscope images, which browsers cannot
+// draw themselves. Reads the first image of a file: 8- or 16-bit grey, RGB or
+// RGBA in strips, uncompressed, PackBits or LZW (with or without horizontal
+// prediction). 16-bit images are stretched from their darkest to brightest
+// sample. Loaded before simulation.js.
+
+class TiffImage {
+    // Field types: byte size of one value
+    static typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+    
+    // { width, height, rgba: Uint8ClampedArray, umPerPixel (null when the file
+    // does not say) } from the bytes of a TIFF file
+    static decode(buffer) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < 8) throw new Error('not a TIFF file');
+        const order = view.getUint16(0);
+        if (order !== 0x4949 && order !== 0x4d4d) throw new Error('not a TIFF file');
+        const little = order === 0x4949;
+        if (view.getUint16(2, little) !== 42) throw new Error('not a TIFF file (BigTIFF is not supported)');
+        
+        const tags = TiffImage.readDirectory(view, view.getUint32(4, little), little);
+        const tag = (id, fallback) => tags[id] !== undefined ? tags[id] : fallback;
+        const width = tag(256)[0];
+        const height = tag(257)[0];
+        const bits = tag(258, [1]);
+        const compression = tag(259, [1])[0];
+        const photometric = tag(262, [1])[0];
+        const samples = tag(277, [1])[0];
+        const predictor = tag(317, [1])[0];
+        const depth = bits[0];
+        if (tags[322]) throw new Error('tiled TIFFs are not supported');
+        if (tag(284, [1])[0] !== 1 && samples > 1) throw new Error('planar TIFFs are not supported');
+        if (depth !== 8 && depth !== 16) throw new Error(`${depth}-bit TIFFs are not supported`);
+        if (![0, 1, 2].includes(photometric)) throw new Error('only grey and RGB TIFFs are supported');
+        if (![1, 5, 32773].includes(compression)) throw new Error(`TIFF compression ${compression} is not supported`);
+        
+        // Strips, decompressed into one buffer of rows
+        const rowBytes = width * samples * depth / 8;
+        const rowsPerStrip = tag(278, [height])[0];
+        const offsets = tag(273);
+        const counts = tag(279);
+        const raw = new Uint8Array(rowBytes * height);
+        offsets.forEach((offset, i) => {
+            const rows = Math.min(rowsPerStrip, height - i * rowsPerStrip);
+            if (rows <= 0) return;
+            const input = new Uint8Array(buffer, offset, Math.min(counts[i], buffer.byteLength - offset));
+            const expected = rows * rowBytes;
+            const strip = compression === 5 ? TiffImage.lzw(input, expected)
+                : compression === 32773 ? TiffImage.packBits(input, expected)
+                : input.subarray(0, expected);
+            raw.set(strip.subarray(0, expected), i * rowsPerStrip * rowBytes);
+        });
+        
+        // Samples as numbers, undoing horizontal differencing
+        const count = width * height * samples;
+        let values;
+        if (depth === 8) {
+            values = raw;
+        } else {
+            values = new Uint16Array(count);
+            const data = new DataView(raw.buffer);
+            for (let k = 0; k < count; k++) values[k] = data.getUint16(2 * k, little);
+        }
+        if (predictor === 2) {
+            const mask = depth === 8 ? 0xff : 0xffff;
+            for (let y = 0; y < height; y++) {
+                for (let k = y * width * samples + samples; k < (y + 1) * width * samples; k++) {
+                    values[k] = (values[k] + values[k - samples]) & mask;
+                }
+            }
+        }
+        let low = 0;
+        let scale = 1;
+        if (depth === 16) {
+            let min = 65535;
+            let max = 0;
+            for (let k = 0; k < count; k++) {
+                if (k % samples === 3) continue;
+                min = Math.min(min, values[k]);
+                max = Math.max(max, values[k]);
+            }
+            low = min;
+            scale = 255 / Math.max(1, max - min);
+        }
+        
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        for (let p = 0; p < width * height; p++) {
+            const level = k => (values[p * samples + k] - low) * scale;
+            if (samples >= 3) {
+                rgba[4 * p] = level(0);
+                rgba[4 * p + 1] = level(1);
+                rgba[4 * p + 2] = level(2);
+            } else {
+                const grey = photometric === 0 ? 255 - level(0) : level(0);
+                rgba[4 * p] = rgba[4 * p + 1] = rgba[4 * p + 2] = grey;
+            }
+            rgba[4 * p + 3] = samples === 4 || samples === 2 ? level(samples - 1) : 255;
+        }
+        return { width, height, rgba, umPerPixel: TiffImage.pixelSize(tags) };
+    }
+    
+    // Tag id → array of values (strings for ASCII) of one image file directory
+    static readDirectory(view, offset, little) {
+        const tags = {};
+        const entries = view.getUint16(offset, little);
+        for (let i = 0; i < entries; i++) {
+            const entry = offset + 2 + i * 12;
+            const id = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const n = view.getUint32(entry + 4, little);
+            const size = TiffImage.typeSizes[type];
+            if (!size) continue;
+            const at = n * size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+            const values = [];
+            for (let k = 0; k < n; k++) {
+                const p = at + k * size;
+                if (type === 3 || type === 8) values.push(view.getUint16(p, little));
+                else if (type === 4 || type === 9) values.push(view.getUint32(p, little));
+                else if (type === 5 || type === 10) values.push(view.getUint32(p, little) / (view.getUint32(p + 4, little) || 1));
+                else if (type === 11) values.push(view.getFloat32(p, little));
+                else if (type === 12) values.push(view.getFloat64(p, little));
+                else values.push(view.getUint8(p));
+            }
+            tags[id] = type === 2 ? String.fromCharCode(...values).replace(/\0+$/, '') : values;
+        }
+        return tags;
+    }
+    
+    // Pixel size (µm) from the resolution tags, when they describe the sample:
+    // per-centimetre resolution, or ImageJ's unitless resolution with a micron
+    // unit in the description. Per-inch values are usually print settings
+    static pixelSize(tags) {
+        const resolution = tags[282] ? tags[282][0] : 0;
+        if (!(resolution > 0)) return null;
+        const unit = tags[296] ? tags[296][0] : 2;
+        if (unit === 3) return 1e4 / resolution;
+        if (unit === 1 && /unit=(micron|um|µm)/.test(tags[270] || '')) return 1 / resolution;
+        return null;
+    }
+    
+    // PackBits run-length decoding
+    static packBits(input, expected) {
+        const out = new Uint8Array(expected);
+        let i = 0;
+        let o = 0;
+        while (i < input.length && o < expected) {
+            const n = (input[i++] << 24) >> 24;
+            if (n >= 0) {
+                out.set(input.subarray(i, i + n + 1).subarray(0, expected - o), o);
+                o += n + 1;
+                i += n + 1;
+            } else if (n !== -128) {
+                out.fill(input[i++], o, Math.min(expected, o - n + 1));
+                o += 1 - n;
+            }
+        }
+        return out;
+    }
+    
+    // TIFF LZW: MSB-first codes of 9–12 bits, widening one code early
+    static lzw(input, expected) {
+        const out = new Uint8Array(expected);
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const first = new Uint8Array(4096);
+        const length = new Uint16Array(4096);
+        for (let c = 0; c < 256; c++) {
+            suffix[c] = c;
+            first[c] = c;
+            length[c] = 1;
+        }
+        let next = 258;
+        let width = 9;
+        let previous = -1;
+        let bit = 0;
+        let o = 0;
+        
+        const read = () => {
+            if (bit + width > input.length * 8) return 257;
+            let code = 0;
+            for (let k = 0; k < width; k++, bit++) code = (code << 1) | ((input[bit >> 3] >> (7 - (bit & 7))) & 1);
+            return code;
+        };
+        // Write a string from the table, cut at the expected size
+        const write = code => {
+            const n = length[code];
+            for (let k = n - 1, c = code; k >= 0; k--, c = prefix[c]) {
+                if (o + k < expected) out[o + k] = suffix[c];
+            }
+            o += n;
+        };
+        
+        while (o < expected) {
+            const code = read();
+            if (code === 257) break;
+            if (code === 256) {
+                next = 258;
+                width = 9;
+                previous = -1;
+                continue;
+            }
+            if (previous < 0) {
+                write(code);
+            } else if (next < 4096) {
+                const known = code < next;
+                prefix[next] = previous;
+                suffix[next] = known ? first[code] : first[previous];
+                first[next] = first[previous];
+                length[next] = length[previous] + 1;
+                next++;
+                write(code);
+            } else {
+                write(code);
+            }
+            previous = code;
+            if (next >= (1 << width) - 1 && width < 12) width++;
+        }
+        return out;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TiffImage };
+}